@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Return CAN frame as line in candump log format, e.g. '(1700000000.123456) can0 693#21B0010C05000000'
+ *
+ * @param {string} bus  Name of CAN bus
+ * @param {object} msg  CAN frame
+ */
+function formatCandumpLine(bus, msg) {
+    const ts = `(${String(msg.ts_sec)}.${String(msg.ts_usec).padStart(6, '0')})`;
+    const id = Number(msg.id)
+        .toString(16)
+        .toUpperCase()
+        .padStart(msg.ext ? 8 : 3, '0');
+    const data = msg.rtr ? 'R' : Buffer.from(msg.data).toString('hex').toUpperCase();
+    return `${ts} ${bus} ${id}#${data}`;
+}
+
+/**
+ * Return timestamp of CAN frame in ms since epoch. Actual time, if frame carries no timestamp.
+ *
+ * @param {object} msg  CAN frame
+ */
+function frameTimestamp(msg) {
+    if (typeof msg.ts_sec != 'number') {
+        return new Date().getTime();
+    }
+    return msg.ts_sec * 1000 + Math.round((msg.ts_usec || 0) / 1000);
+}
+
+/**
+ * Parse line in candump log format. Returns null, if line is not a CAN frame.
+ *
+ * @param {string} line  Line of candump log
+ */
+function parseCandumpLine(line) {
+    const m = /^\s*\((\d+)\.(\d+)\)\s+(\S+)\s+([0-9A-Fa-f]{1,8})#(R|[0-9A-Fa-f]*)\s*$/.exec(line);
+    if (!m || (m[5] != 'R' && m[5].length % 2 != 0)) {
+        return null;
+    }
+    return {
+        ts_sec: Number(m[1]),
+        ts_usec: Number(m[2].padEnd(6, '0').slice(0, 6)),
+        bus: m[3],
+        id: parseInt(m[4], 16),
+        ext: m[4].length > 3,
+        rtr: m[5] == 'R',
+        data: m[5] == 'R' ? Buffer.alloc(0) : Buffer.from(m[5], 'hex'),
+    };
+}
+
+/**
+ *  Write CAN frames to a rotating log file in candump format
+ */
+class canLogWriter {
+    /**
+     * @param {object} config  Capture configuration: { file, maxSize (bytes), maxFiles, onError (optional callback) }
+     */
+    constructor(config) {
+        this.file = config.file;
+        this.maxSize = config.maxSize;
+        this.maxFiles = Math.max(1, config.maxFiles); // Number of rotated files to keep
+        this.onError = config.onError || (() => {});
+        this.stream = null;
+        this.size = 0;
+        this.cntFrames = 0;
+        this.rotating = null; // Promise of rotation in progress
+        this.pending = []; // Lines received during rotation
+    }
+
+    /**
+     * Open log file for appending
+     */
+    open() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+        this.stream = this.createStream();
+    }
+
+    /**
+     * Return buffered stream appending to log file
+     */
+    createStream() {
+        const stream = fs.createWriteStream(this.file, { flags: 'a' });
+        stream.on('error', e => this.onError(e));
+        return stream;
+    }
+
+    /**
+     * Close log file. Resolves after all frames got written.
+     */
+    async close() {
+        if (this.rotating) {
+            await this.rotating;
+        }
+        const stream = this.stream;
+        this.stream = null;
+        if (stream) {
+            await new Promise(resolve => stream.end(resolve));
+        }
+    }
+
+    /**
+     * Rotate log files as soon as actual file is finished: file -> file.1 -> file.2 ... Oldest file gets deleted.
+     * Frames received meanwhile are written to the new file.
+     */
+    async rotate() {
+        const stream = this.stream;
+        if (stream) {
+            await new Promise(resolve => stream.end(resolve));
+        }
+        const rename = async (from, to) => {
+            try {
+                await fs.promises.rename(from, to);
+            } catch (e) {
+                if (e.code != 'ENOENT') {
+                    this.onError(e);
+                }
+            }
+        };
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            await rename(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+        }
+        await rename(this.file, `${this.file}.1`);
+        this.stream = this.createStream();
+        this.size = 0;
+        for (const line of this.pending) {
+            this.stream.write(line);
+            this.size += line.length;
+        }
+        this.pending = [];
+        this.rotating = null;
+    }
+
+    /**
+     * Append CAN frame to log
+     *
+     * @param {string} bus  Name of CAN bus
+     * @param {object} msg  CAN frame
+     */
+    write(bus, msg) {
+        if (this.stream === null) {
+            return;
+        }
+        const line = `${formatCandumpLine(bus, msg)}\n`;
+        this.cntFrames += 1;
+        if (this.rotating) {
+            this.pending.push(line);
+            return;
+        }
+        if (this.size > 0 && this.size + line.length > this.maxSize) {
+            this.pending.push(line);
+            this.rotating = this.rotate();
+            return;
+        }
+        this.stream.write(line);
+        this.size += line.length;
+    }
+}
+
+module.exports = {
+    canLogWriter,
+    formatCandumpLine,
+    frameTimestamp,
+    parseCandumpLine,
+};
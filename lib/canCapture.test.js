@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Tests for capture and replay of CAN traffic
+ *
+ * It's automatically excluded from npm and its build output is excluded from both git and npm.
+ * It is advised to test all your modules with accompanying *.test.js-files
+ */
+
+// tslint:disable:no-unused-expression
+
+const { expect } = require('@iobroker/testing/node_modules/chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const canCapture = require('./canCapture');
+const canTransport = require('./canTransport');
+const collect = require('./canCollect');
+const { mockAdapter } = require('../test/mockAdapter');
+
+describe('candump log format', () => {
+    it('formats standard and extended frames', () => {
+        const msg = { ts_sec: 1700000000, ts_usec: 1234, id: 0x693, ext: false, rtr: false, data: Buffer.from([0x21, 0xb0]) };
+        expect(canCapture.formatCandumpLine('can0', msg)).to.equal('(1700000000.001234) can0 693#21B0');
+        const ext = { ts_sec: 1, ts_usec: 0, id: 0x1abc, ext: true, rtr: false, data: Buffer.alloc(0) };
+        expect(canCapture.formatCandumpLine('can1', ext)).to.equal('(1.000000) can1 00001ABC#');
+    });
+    it('parses formatted frames back', () => {
+        const line = '(1700000000.001234) can0 693#210C01B98C01C100';
+        const msg = canCapture.parseCandumpLine(line);
+        expect(msg).to.include({ ts_sec: 1700000000, ts_usec: 1234, bus: 'can0', id: 0x693, ext: false, rtr: false });
+        if (msg) {
+            expect(canCapture.formatCandumpLine(msg.bus, msg)).to.equal(line);
+        }
+    });
+    it('returns timestamp of frames in ms', () => {
+        expect(canCapture.frameTimestamp({ ts_sec: 1700000000, ts_usec: 123456 })).to.equal(1700000000123);
+        const ts = canCapture.frameTimestamp({ id: 0x693 });
+        expect(Math.abs(ts - new Date().getTime())).to.be.below(1000);
+    });
+    it('ignores lines not being CAN frames', () => {
+        expect(canCapture.parseCandumpLine('')).to.equal(null);
+        expect(canCapture.parseCandumpLine('# comment')).to.equal(null);
+        expect(canCapture.parseCandumpLine('(1.0) can0 693#123')).to.equal(null);
+    });
+});
+
+describe('replay of candump log', () => {
+    let dir;
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e3oncan-'));
+    });
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes rotating log files', async () => {
+        const file = path.join(dir, 'rotate.log');
+        const writer = new canCapture.canLogWriter({ file, maxSize: 100, maxFiles: 2 });
+        writer.open();
+        const msg = { ts_sec: 1, ts_usec: 0, id: 0x693, ext: false, rtr: false, data: Buffer.alloc(8) };
+        for (let i = 0; i < 10; i++) {
+            writer.write('can0', msg);
+            await writer.rotating;
+        }
+        await writer.close();
+        expect(writer.cntFrames).to.equal(10);
+        expect(fs.existsSync(`${file}.1`)).to.equal(true);
+        expect(fs.existsSync(`${file}.2`)).to.equal(true);
+        expect(fs.existsSync(`${file}.3`)).to.equal(false);
+    });
+
+    it('keeps frames received during rotation', async () => {
+        const file = path.join(dir, 'pending.log');
+        const writer = new canCapture.canLogWriter({ file, maxSize: 100, maxFiles: 2 });
+        writer.open();
+        for (let i = 0; i < 5; i++) {
+            writer.write('can0', { ts_sec: 1, ts_usec: i, id: 0x693, ext: false, rtr: false, data: Buffer.alloc(8) });
+        }
+        await writer.close();
+        const lines = [`${file}.1`, file].flatMap(f => fs.readFileSync(f, 'utf8').split('\n').filter(line => line));
+        expect(lines.map(line => line.split(' ')[0])).to.deep.equal([
+            '(1.000000)',
+            '(1.000001)',
+            '(1.000002)',
+            '(1.000003)',
+            '(1.000004)',
+        ]);
+    });
+
+    it('feeds recorded frames to collect worker', async () => {
+        const file = path.join(dir, 'collect.log');
+        fs.writeFileSync(
+            file,
+            [
+                '(1700000000.000000) can1 693#210C01B98C01C100',
+                '(1700000000.001000) can0 693#FFFFFFFFFFFFFFFF',
+                '(1700000000.002000) can1 693#227A027E01000000',
+                '',
+            ].join('\n'),
+        );
+        const ctx = mockAdapter();
+        const worker = new collect.collect({
+            canID: [0x693],
+            stateBase: 'vitocal',
+            device: 'common',
+            timeout: 2000,
+            delay: 0,
+        });
+        await worker.initStates(ctx, 'standby');
+        await worker.startup(ctx);
+        await worker.storage.storageDids.readKnownDids(ctx, 'normal');
+
+        const channel = canTransport.createChannel('replayFast', `${file}@can1`);
+        channel.addListener('onMessage', msg => worker.msgCollect(ctx, msg));
+        channel.start();
+        await channel.done;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await worker.stop(ctx);
+
+        expect(channel.cntReplayed).to.equal(2);
+        expect(ctx.states['vitocal.json.0268_FlowTemperatureSensor'].val).to.equal(
+            '{"Actual":39.6,"Minimum":19.3,"Maximum":63.4,"Average":38.2,"Unknown":0}',
+        );
+        // States are stamped with timestamp of first frame of multi frame message
+        expect(ctx.states['vitocal.json.0268_FlowTemperatureSensor'].ts).to.equal(1700000000000);
+        expect(ctx.states['vitocal.tree.0268_FlowTemperatureSensor.Actual'].ts).to.equal(1700000000000);
+    });
+});
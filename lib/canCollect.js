@@ -1,4 +1,14 @@
 const storage = require('./storage');
+const canCapture = require('./canCapture');
+
+/**
+ * Check, if CAN frame is the first one of a did broadcast of an E3 device, e.g. 21 0C 01 B9 ...
+ *
+ * @param {Array} candata  Data of CAN frame
+ */
+function isDidBroadcast(candata) {
+    return candata.length > 4 && candata[0] == 0x21 && candata[3] >= 0xb0 && candata[3] < 0xc0;
+}
 
 /**
  *  Implement relevant set of communication routines to collect data on CAN bus
@@ -17,6 +27,10 @@ class collect {
         this.timeoutHandle = null;
         this.maxDid = 3500;
         this.commBusy = false; // Communication routine running
+        this.deadbandsId = 'collectDeadbands';
+        this.deadbands = {}; // Deadbands per did for publishing on change
+        this.published = {}; // Last published raw data, value and timestamp per did
+        this.msMaxAge = (Number(config.maxAge) || 0) * 1000; // Publish at least once within this time on change mode
         this.data = {
             len: 0,
             timestamp: 0,
@@ -30,6 +44,7 @@ class collect {
             cntCommTotal: 0, // Number collected dids
             cntCommOk: 0, // Number of ok
             cntCommStored: 0, // Number of dids stored
+            cntCommUnchanged: 0, // Number of dids not stored because of no relevant change
             cntCommTimeout: 0, // Number of timeouts
             cntCommBadProt: 0, // Number of bad communications
             cntTooBusy: 0, // Number of conflicting calls of msgCollect()
@@ -46,6 +61,19 @@ class collect {
      */
     async initStates(ctx, opMode) {
         await this.storage.initStates(ctx, opMode);
+        await ctx.setObjectNotExistsAsync(`${this.config.stateBase}.info.${this.deadbandsId}`, {
+            type: 'state',
+            common: {
+                name: `${this.config.stateBase} deadbands of datapoints for collecting on change`,
+                role: 'state',
+                type: 'json',
+                read: true,
+                write: true,
+                def: JSON.stringify({}),
+            },
+            native: {},
+        });
+        await this.readDeadbands(ctx);
         this.stat.state = 'standby';
         await this.storage.storeStatistics(ctx, this, true);
     }
@@ -105,6 +133,117 @@ class collect {
         ctx.cntWorkersActive -= 1;
     }
 
+    /**
+     * Read deadbands of datapoints for publishing on change, e.g. { "268": { "Actual": 0.2 }, "592": 20, "600": "1%" }
+     *
+     * @param {object} ctx  Caller context
+     */
+    async readDeadbands(ctx) {
+        const deadbands = await this.storage.storageDids.getObjectVal(
+            ctx,
+            `${this.config.stateBase}.info.${this.deadbandsId}`,
+        );
+        this.deadbands = deadbands !== null && typeof deadbands == 'object' ? deadbands : {};
+    }
+
+    /**
+     * Return deadband of value given by path within did. Number for absolute deadband or string like "5%".
+     * Object of paths may be given per did, '*' is the default for other paths.
+     *
+     * @param {string} did  DID
+     * @param {string} path  Path of value within did, e.g. 'Actual'. Indices of arrays are not part of path.
+     */
+    getDeadband(did, path) {
+        let deadband = this.deadbands[did];
+        if (deadband !== null && typeof deadband == 'object') {
+            deadband = path in deadband ? deadband[path] : deadband['*'];
+        }
+        return deadband === undefined ? 0 : deadband;
+    }
+
+    /**
+     * Check if change of value exceeds deadband
+     *
+     * @param {string} did  DID
+     * @param {any} valOld  Value published last
+     * @param {any} valNew  Value received
+     * @param {string} path  Path of value within did
+     */
+    exceedsDeadband(did, valOld, valNew, path = '') {
+        if (typeof valNew == 'number' && typeof valOld == 'number') {
+            const delta = Math.abs(valNew - valOld);
+            const deadband = this.getDeadband(did, path);
+            let limit = Number(deadband);
+            if (typeof deadband == 'string' && deadband.trim().endsWith('%')) {
+                limit = (Math.abs(valOld) * Number(deadband.trim().slice(0, -1))) / 100;
+            }
+            if (isNaN(limit)) {
+                limit = 0;
+            }
+            return delta > 0 && delta >= limit * (1 - 1e-9); // Tolerate rounding errors of scaled values
+        }
+        if (valNew !== null && typeof valNew == 'object' && valOld !== null && typeof valOld == 'object') {
+            const keys = new Set(Object.keys(valNew).concat(Object.keys(valOld)));
+            for (const key of keys) {
+                const pathKey = Array.isArray(valNew) ? path : path == '' ? key : `${path}.${key}`;
+                if (this.exceedsDeadband(did, valOld[key], valNew[key], pathKey)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+        return JSON.stringify(valNew) != JSON.stringify(valOld);
+    }
+
+    /**
+     * Check if data of did has to be published in mode on change: Relevant change or max. age of last publication reached.
+     * Decoded data is kept in this.published for storing.
+     *
+     * @param {object} ctx  Adapter context
+     * @param {string} did  DID
+     * @param {Array} data  raw data
+     * @param {number} tsNow  Actual timestamp
+     */
+    async isPublishDue(ctx, did, data, tsNow) {
+        const raw = this.storage.storageDids.arr2Hex(data);
+        const last = this.published[did];
+        const recent = last && (this.msMaxAge == 0 || tsNow - last.ts < this.msMaxAge);
+        if (recent && raw == last.raw) {
+            return false;
+        }
+        let val = raw;
+        let decoded = null;
+        const cdi = this.storage.storageDids.dids[did];
+        if (cdi && cdi.len == data.length) {
+            decoded = await this.storage.storageDids.decodeDid(ctx, this.config.stateBase, did, cdi, data);
+            val = decoded.val;
+        }
+        if (recent && !this.exceedsDeadband(did, last.val, val)) {
+            return false;
+        }
+        this.published[did] = { raw: raw, val: val, ts: tsNow, decoded: decoded };
+        return true;
+    }
+
+    /**
+     * Store data of did. In mode on change only if publishing is due.
+     *
+     * @param {object} ctx  Adapter context
+     * @param {string} did  DID
+     * @param {Array} data  raw data
+     * @param {number} tsNow  Actual timestamp
+     * @param {number} tsFrame  Timestamp of CAN frame used for states
+     */
+    async storeDid(ctx, did, data, tsNow, tsFrame) {
+        if (this.config.onChange && !(await this.isPublishDue(ctx, did, data, tsNow))) {
+            this.stat.cntCommUnchanged += 1;
+            return;
+        }
+        this.stat.cntCommStored += 1;
+        const decoded = this.config.onChange ? this.published[did].decoded : null;
+        this.storage.decodeDataCAN(ctx, this, did, data, tsFrame, decoded);
+    }
+
     /**
      * Returns actual operation mode of uds worker
      */
@@ -117,13 +256,35 @@ class collect {
      *
      * @param {object} ctx  Adapter context
      * @param {object} ctxWorker  Worker context
-     * @param {Array} id  Chaged id
+     * @param {string} id  Changed id
      * @param {object} state  State reference
      */
     async onUdsStateChange(ctx, ctxWorker, id, state) {
         if (id.includes(this.storage.storageDids.didsSpecId)) {
             // User requests change of UDS device specific datapoint definition
             await this.storage.storageDids.readKnownDids(ctx, await this.getWorkerOpMode());
+            this.storage.storageDids.checkDids(
+                ctx,
+                this.storage.storageDids.didsDictDevSpec,
+                this.storage.storageDids.didsSpecId,
+            ); // Report broken definitions of datapoints
+            await ctx.setStateAsync(id, { val: state.val, ack: true }); // Acknowlegde user command
+            return;
+        }
+        if (id.includes(this.storage.storageDids.didsOverridesId)) {
+            // User requests change of datapoint definitions overriding all other definitions
+            await this.storage.storageDids.readKnownDids(ctx, await this.getWorkerOpMode());
+            this.storage.storageDids.checkDids(
+                ctx,
+                this.storage.storageDids.didsDictOverrides,
+                this.storage.storageDids.didsOverridesId,
+            ); // Report broken definitions of datapoints
+            await ctx.setStateAsync(id, { val: state.val, ack: true }); // Acknowlegde user command
+            return;
+        }
+        if (id.includes(this.deadbandsId)) {
+            // User requests change of deadbands for publishing on change
+            await this.readDeadbands(ctx);
             await ctx.setStateAsync(id, { val: state.val, ack: true }); // Acknowlegde user command
             return;
         }
@@ -152,7 +313,6 @@ class collect {
         const candata = msg.data.toJSON().data;
 
         const canid = msg.id;
-        const msgDlc = candata.length;
         const tsNow = new Date().getTime();
         const D3 = candata[3];
         switch (this.config.device) {
@@ -164,8 +324,7 @@ class collect {
                     this.ts[canid] = tsNow;
                 }
                 if (this.config.delay == 0 || tsNow >= this.ts[canid]) {
-                    this.stat.cntCommStored += 1;
-                    this.storage.decodeDataCAN(ctx, this, msg.id, candata);
+                    await this.storeDid(ctx, String(msg.id), candata, tsNow, canCapture.frameTimestamp(msg));
                     this.ts[canid] = tsNow + this.msDelay;
                 }
                 break;
@@ -177,9 +336,14 @@ class collect {
                     this.ts[canid] = tsNow;
                 }
                 if (this.config.delay == 0 || tsNow >= this.ts[canid]) {
-                    this.stat.cntCommStored += 1;
                     const didStr = `00${String(D3)}`;
-                    this.storage.decodeDataCAN(ctx, this, `${String(msg.id)}_${didStr.slice(-2)}`, candata.slice(4));
+                    await this.storeDid(
+                        ctx,
+                        `${String(msg.id)}_${didStr.slice(-2)}`,
+                        candata.slice(4),
+                        tsNow,
+                        canCapture.frameTimestamp(msg),
+                    );
                     this.ts[canid] = tsNow + this.msDelay;
                 }
                 break;
@@ -199,12 +363,12 @@ class collect {
                                 this.ts[this.data.did] = tsNow;
                             }
                             if (this.config.delay == 0 || tsNow >= this.ts[this.data.did]) {
-                                this.stat.cntCommStored += 1;
-                                this.storage.decodeDataCAN(
+                                await this.storeDid(
                                     ctx,
-                                    this,
                                     String(this.data.did),
                                     this.data.databytes.slice(0, this.data.len),
+                                    tsNow,
+                                    this.data.timestamp,
                                 );
                                 this.ts[this.data.did] = tsNow + this.msDelay;
                             }
@@ -219,10 +383,10 @@ class collect {
                     }
                 }
 
-                if (!this.data.collecting && msgDlc > 4 && candata[0] == 0x21 && D3 >= 0xb0 && D3 < 0xc0) {
+                if (!this.data.collecting && isDidBroadcast(candata)) {
                     this.data.D0expected = candata[0];
                     this.data.did = candata[1] + 256 * candata[2];
-                    this.data.timestamp = msg.ts_sec * 1000 + Math.round(msg.ts_usec / 1000);
+                    this.data.timestamp = canCapture.frameTimestamp(msg);
                     if (this.data.did > 0 && this.data.did < this.maxDid) {
                         switch (D3) {
                             case 0xb1:
@@ -238,12 +402,12 @@ class collect {
                                     this.ts[this.data.did] = tsNow;
                                 }
                                 if (this.config.delay == 0 || tsNow >= this.ts[this.data.did]) {
-                                    this.stat.cntCommStored += 1;
-                                    this.storage.decodeDataCAN(
+                                    await this.storeDid(
                                         ctx,
-                                        this,
                                         String(this.data.did),
                                         this.data.databytes.slice(0, this.data.len),
+                                        tsNow,
+                                        this.data.timestamp,
                                     );
                                     this.ts[this.data.did] = tsNow + this.msDelay;
                                 }
@@ -299,4 +463,5 @@ class collect {
 
 module.exports = {
     collect,
+    isDidBroadcast,
 };
@@ -0,0 +1,172 @@
+'use strict';
+
+/**
+ * Tests for collecting data on CAN bus
+ *
+ * It's automatically excluded from npm and its build output is excluded from both git and npm.
+ * It is advised to test all your modules with accompanying *.test.js-files
+ */
+
+// tslint:disable:no-unused-expression
+
+const { expect } = require('@iobroker/testing/node_modules/chai');
+const collect = require('./canCollect');
+const { mockAdapter } = require('../test/mockAdapter');
+
+// Frame of E380 with active power L1, L2, L3 and Total
+function frameActivePower(l1, total) {
+    return { id: 0x250, data: Buffer.from([l1 & 0xff, l1 >> 8, 0, 0, 0, 0, total & 0xff, total >> 8]) };
+}
+
+describe('canCollect.js => publishing on change', () => {
+    let ctx, worker;
+
+    beforeEach(async () => {
+        ctx = mockAdapter();
+        ctx.states['e380.info.collectDeadbands'] = { val: JSON.stringify({ 592: { L1: 20, Total: '10%' } }) };
+        worker = new collect.collect({
+            canID: [0x250],
+            stateBase: 'e380',
+            device: 'e380',
+            delay: 0,
+            onChange: true,
+            maxAge: 60,
+        });
+        await worker.initStates(ctx, 'standby');
+        await worker.startup(ctx);
+    });
+
+    it('stores values only on change exceeding deadband', async () => {
+        for (const [l1, total] of [
+            [100, 1000],
+            [110, 1000], // below absolute deadband
+            [125, 1000], // exceeds deadband compared to last stored value
+            [125, 1090], // below percent deadband
+            [125, 1100],
+        ]) {
+            await worker.msgCollect(ctx, frameActivePower(l1, total));
+        }
+        await new Promise(resolve => setTimeout(resolve, 20)); // States are stored asynchronously
+        expect(worker.stat.cntCommStored).to.equal(3);
+        expect(worker.stat.cntCommUnchanged).to.equal(2);
+        expect(ctx.states['e380.tree.0592_GridActivePower.L1'].val).to.equal(125);
+        expect(ctx.states['e380.tree.0592_GridActivePower.Total'].val).to.equal(1100);
+    });
+
+    it('decodes data only once on publishing', async () => {
+        const storageDids = worker.storage.storageDids;
+        const decodeDid = storageDids.decodeDid.bind(storageDids);
+        let cntDecoded = 0;
+        storageDids.decodeDid = async (...args) => {
+            cntDecoded += 1;
+            return decodeDid(...args);
+        };
+        await worker.msgCollect(ctx, frameActivePower(100, 1000));
+        await new Promise(resolve => setTimeout(resolve, 20)); // States are stored asynchronously
+        expect(worker.stat.cntCommStored).to.equal(1);
+        expect(cntDecoded).to.equal(1);
+        expect(ctx.states['e380.tree.0592_GridActivePower.L1'].val).to.equal(100);
+    });
+
+    it('stamps states with timestamp of CAN frame', async () => {
+        await worker.msgCollect(ctx, { ts_sec: 1700000000, ts_usec: 250000, ...frameActivePower(100, 1000) });
+        await new Promise(resolve => setTimeout(resolve, 20)); // States are stored asynchronously
+        expect(ctx.states['e380.tree.0592_GridActivePower.L1']).to.include({ val: 100, ack: true, ts: 1700000000250 });
+        expect(ctx.states['e380.json.0592_GridActivePower'].ts).to.equal(1700000000250);
+    });
+
+    it('stores unchanged values after max. age', async () => {
+        const data = Array.from(frameActivePower(100, 1000).data);
+        const ts = new Date().getTime();
+        expect(await worker.isPublishDue(ctx, '592', data, ts)).to.equal(true);
+        expect(await worker.isPublishDue(ctx, '592', data, ts + 59000)).to.equal(false);
+        expect(await worker.isPublishDue(ctx, '592', data, ts + 60000)).to.equal(true);
+    });
+
+    it('uses default deadband of did and reloads deadbands on change', async () => {
+        expect(worker.exceedsDeadband('592', { L2: 0 }, { L2: 1 })).to.equal(true);
+        ctx.states['e380.info.collectDeadbands'] = { val: JSON.stringify({ 592: { '*': 5 }, 600: '1%' }) };
+        await worker.onUdsStateChange(ctx, worker, 'e3oncan.0.e380.info.collectDeadbands', {
+            val: ctx.states['e380.info.collectDeadbands'].val,
+            ack: false,
+        });
+        expect(worker.exceedsDeadband('592', { L2: 0 }, { L2: 1 })).to.equal(false);
+        expect(worker.exceedsDeadband('600', { Import: 1000.0 }, { Import: 1009.9 })).to.equal(false);
+        expect(worker.exceedsDeadband('600', { Import: 1000.0 }, { Import: 1010.0 })).to.equal(true);
+    });
+});
+
+// Broadcast of did 396 (DomesticHotWaterTemperatureSetpoint) of E3 device using single frame B2
+function frameSetpoint(val) {
+    return { id: 0x693, data: Buffer.from([0x21, 0x8c, 0x01, 0xb2, val & 0xff, val >> 8, 0x00, 0x00]) };
+}
+
+// Broadcast of did 268 (FlowTemperatureSensor) of E3 device using multi frame B0
+function framesFlowTemp(actual) {
+    return [
+        { id: 0x693, data: Buffer.from([0x21, 0x0c, 0x01, 0xb0, 0x09, actual & 0xff, actual >> 8, 0xc1]) },
+        { id: 0x693, data: Buffer.from([0x22, 0x00, 0x7a, 0x02, 0x7e, 0x01, 0x00, 0x00]) },
+    ];
+}
+
+describe('canCollect.js => publishing on change of E3 device', () => {
+    let ctx, worker;
+
+    async function collectFrames(frames) {
+        for (const frame of frames) {
+            await worker.msgCollect(ctx, frame);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20)); // States are stored asynchronously
+    }
+
+    beforeEach(async () => {
+        ctx = mockAdapter();
+        ctx.states['vitocal.info.collectDeadbands'] = { val: JSON.stringify({ 396: 1, 268: { Actual: 0.5 } }) };
+        worker = new collect.collect({
+            canID: [0x693],
+            stateBase: 'vitocal',
+            device: 'common',
+            timeout: 2000,
+            delay: 0,
+            onChange: true,
+            maxAge: 0.1,
+        });
+        await worker.initStates(ctx, 'standby');
+        await worker.startup(ctx);
+    });
+
+    afterEach(async () => {
+        await worker.stop(ctx);
+    });
+
+    it('stores repeated single frame broadcast only once', async () => {
+        await collectFrames([frameSetpoint(450), frameSetpoint(450)]);
+        expect(worker.stat.cntCommStored).to.equal(1);
+        expect(worker.stat.cntCommUnchanged).to.equal(1);
+        expect(ctx.states['vitocal.json.0396_DomesticHotWaterTemperatureSetpoint'].val).to.equal('45');
+    });
+
+    it('stores repeated multi frame broadcast only once', async () => {
+        await collectFrames(framesFlowTemp(396).concat(framesFlowTemp(396)));
+        expect(worker.stat.cntCommStored).to.equal(1);
+        expect(worker.stat.cntCommUnchanged).to.equal(1);
+        expect(ctx.states['vitocal.tree.0268_FlowTemperatureSensor.Actual'].val).to.equal(39.6);
+    });
+
+    it('suppresses changes below deadband', async () => {
+        await collectFrames([frameSetpoint(450), frameSetpoint(455), frameSetpoint(460)]);
+        await collectFrames(framesFlowTemp(396).concat(framesFlowTemp(399), framesFlowTemp(401)));
+        expect(worker.stat.cntCommStored).to.equal(4);
+        expect(worker.stat.cntCommUnchanged).to.equal(2);
+        expect(ctx.states['vitocal.json.0396_DomesticHotWaterTemperatureSetpoint'].val).to.equal('46');
+        expect(ctx.states['vitocal.tree.0268_FlowTemperatureSensor.Actual'].val).to.equal(40.1);
+    });
+
+    it('stores repeated broadcast after max. age', async () => {
+        await collectFrames([frameSetpoint(450)]);
+        await new Promise(resolve => setTimeout(resolve, 120));
+        await collectFrames([frameSetpoint(450)]);
+        expect(worker.stat.cntCommStored).to.equal(2);
+        expect(worker.stat.cntCommUnchanged).to.equal(0);
+    });
+});
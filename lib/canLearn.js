@@ -0,0 +1,69 @@
+const collect = require('./canCollect');
+const E3DidsDict = require('./didsE3.json');
+
+/**
+ *  Detect CAN ids carrying did broadcasts of E3 devices, i.e. sources for collect workers
+ */
+class canLearn {
+    /**
+     * @param {object} config  Learning configuration: { minDids }
+     */
+    constructor(config) {
+        this.config = config;
+        this.canIds = {}; // Statistics per CAN id: { cntFrames, cntBroadcasts, dids }
+    }
+
+    /**
+     * Return length of did announced by first frame of a did broadcast
+     *
+     * @param {Array} candata  Data of CAN frame
+     */
+    broadcastLen(candata) {
+        if (candata[3] != 0xb0) {
+            return candata[3] - 0xb0;
+        }
+        return candata[4] == 0xc1 ? candata[5] : candata[4];
+    }
+
+    /**
+     * Evaluate received CAN message
+     *
+     * @param {object} msg  CAN frame received
+     */
+    msgLearn(msg) {
+        const candata = msg.data.toJSON().data;
+        if (!(msg.id in this.canIds)) {
+            this.canIds[msg.id] = { cntFrames: 0, cntBroadcasts: 0, dids: new Set() };
+        }
+        const stat = this.canIds[msg.id];
+        stat.cntFrames += 1;
+        if (!collect.isDidBroadcast(candata)) {
+            return;
+        }
+        // Count only known dids with matching length to skip e.g. consecutive frames of UDS replies
+        const did = candata[1] + 256 * candata[2];
+        if (did in E3DidsDict && E3DidsDict[did].len == this.broadcastLen(candata)) {
+            stat.cntBroadcasts += 1;
+            stat.dids.add(did);
+        }
+    }
+
+    /**
+     * Return CAN ids carrying broadcasts of at least minDids different dids, sorted by CAN id
+     */
+    getCanIds() {
+        return Object.entries(this.canIds)
+            .filter(([, stat]) => stat.dids.size >= this.config.minDids)
+            .map(([canId, stat]) => ({
+                collectCanId: `0x${Number(canId).toString(16)}`,
+                cntDids: stat.dids.size,
+                cntBroadcasts: stat.cntBroadcasts,
+                cntFrames: stat.cntFrames,
+            }))
+            .sort((a, b) => Number(a.collectCanId) - Number(b.collectCanId));
+    }
+}
+
+module.exports = {
+    canLearn,
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Tests for learning of CAN ids for collecting
+ *
+ * It's automatically excluded from npm and its build output is excluded from both git and npm.
+ * It is advised to test all your modules with accompanying *.test.js-files
+ */
+
+// tslint:disable:no-unused-expression
+
+const { expect } = require('@iobroker/testing/node_modules/chai');
+const canLearn = require('./canLearn');
+
+// First frame of broadcast of did with given D3, e.g. 0xb9 for 9 bytes of data
+function frameBroadcast(id, did, D3, len = 0) {
+    return { id: id, data: Buffer.from([0x21, did & 0xff, did >> 8, D3, len, 0, 0, 0]) };
+}
+
+describe('canLearn.js => getCanIds()', () => {
+    let learner;
+
+    beforeEach(() => {
+        learner = new canLearn.canLearn({ minDids: 3 });
+    });
+
+    it('learns CAN ids broadcasting several known dids', () => {
+        for (let i = 0; i < 2; i++) {
+            learner.msgLearn(frameBroadcast(0x6a3, 268, 0xb9));
+            learner.msgLearn(frameBroadcast(0x6a3, 381, 0xb4));
+            learner.msgLearn(frameBroadcast(0x6a3, 1043, 0xb0, 5));
+            learner.msgLearn({ id: 0x6a3, data: Buffer.from([0x22, 1, 2, 3, 4, 5, 6, 7]) });
+        }
+        expect(learner.getCanIds()).to.deep.equal([
+            { collectCanId: '0x6a3', cntDids: 3, cntBroadcasts: 6, cntFrames: 8 },
+        ]);
+    });
+    it('ignores frames with unknown dids or wrong length', () => {
+        learner.msgLearn(frameBroadcast(0x690, 268, 0xb9));
+        learner.msgLearn(frameBroadcast(0x690, 381, 0xb2)); // Wrong length
+        learner.msgLearn(frameBroadcast(0x690, 65000, 0xb1)); // Unknown did
+        learner.msgLearn(frameBroadcast(0x690, 1043, 0xb0, 6)); // Wrong length
+        learner.msgLearn(frameBroadcast(0x690, 2346, 0xc1)); // No broadcast
+        expect(learner.getCanIds()).to.deep.equal([]);
+        expect(learner.canIds[0x690]).to.include({ cntFrames: 5, cntBroadcasts: 1 });
+    });
+    it('sorts learned CAN ids', () => {
+        for (const id of [0x693, 0x451]) {
+            for (const did of [268, 318, 320]) {
+                learner.msgLearn(frameBroadcast(id, did, 0xb9));
+            }
+        }
+        expect(learner.getCanIds().map(item => item.collectCanId)).to.deep.equal(['0x451', '0x693']);
+    });
+});
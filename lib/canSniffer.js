@@ -0,0 +1,172 @@
+const canCapture = require('./canCapture');
+
+/**
+ *  Keep statistics of CAN traffic per CAN id and estimate bus load
+ */
+class sniffer {
+    /**
+     * @param {object} config  Sniffer configuration: { bus ('ext' or 'int'), busName, bitrate (kbit/s), interval (s) }
+     */
+    constructor(config) {
+        this.config = config;
+        this.stateBase = `info.bus.${config.bus}`;
+        this.canIds = {}; // Statistics per CAN id
+        this.cntFramesInterval = 0; // Number of frames since last storage of statistics
+        this.cntBitsInterval = 0; // Estimated number of bits on bus since last storage of statistics
+        this.tsInterval = new Date().getTime(); // Start of actual interval
+        this.storeHandle = null;
+    }
+
+    /**
+     * Setup states of statistics
+     *
+     * @param {object} ctx  Adapter context
+     */
+    async initStates(ctx) {
+        await ctx.setObjectNotExistsAsync('info.bus', {
+            type: 'channel',
+            common: { name: 'Statistics of CAN traffic' },
+            native: {},
+        });
+        await ctx.setObjectNotExistsAsync(this.stateBase, {
+            type: 'channel',
+            common: { name: `Statistics of CAN traffic on ${this.config.busName}` },
+            native: {},
+        });
+        const states = {
+            load: { name: 'Estimated bus load', type: 'number', role: 'value', unit: '%' },
+            frameRate: { name: 'Frames per second', type: 'number', role: 'value', unit: '1/s' },
+            cntCanIds: { name: 'Number of CAN ids seen', type: 'number', role: 'value' },
+            canIds: { name: 'Statistics per CAN id', type: 'json', role: 'json' },
+        };
+        for (const [id, common] of Object.entries(states)) {
+            await ctx.setObjectNotExistsAsync(`${this.stateBase}.${id}`, {
+                type: 'state',
+                common: { ...common, read: true, write: false },
+                native: {},
+            });
+        }
+    }
+
+    /**
+     * Start periodic storage of statistics
+     *
+     * @param {object} ctx  Adapter context
+     */
+    async startup(ctx) {
+        this.tsInterval = new Date().getTime();
+        this.storeHandle = ctx.setInterval(async () => {
+            await this.storeStats(ctx);
+        }, this.config.interval * 1000);
+        await ctx.log.info(`Statistics of CAN traffic on ${this.config.busName} started.`);
+    }
+
+    /**
+     * Stop periodic storage of statistics
+     *
+     * @param {object} ctx  Adapter context
+     */
+    async stop(ctx) {
+        if (this.storeHandle) {
+            await ctx.clearInterval(this.storeHandle);
+            this.storeHandle = null;
+        }
+        await this.storeStats(ctx);
+    }
+
+    /**
+     * Return estimated number of bits of CAN frame on bus, without stuff bits
+     *
+     * @param {object} msg  CAN frame
+     */
+    frameBits(msg) {
+        // Overhead: SOF, arbitration, control, CRC, ACK, EOF and interframe space
+        return (msg.ext ? 67 : 47) + 8 * msg.data.length;
+    }
+
+    /**
+     * Evaluate received CAN message
+     *
+     * @param {object} msg  CAN frame received
+     * @param {boolean} known  Frame was evaluated by a worker
+     */
+    msgSniff(msg, known) {
+        const ts = canCapture.frameTimestamp(msg);
+        if (!(msg.id in this.canIds)) {
+            this.canIds[msg.id] = {
+                known: false,
+                ext: Boolean(msg.ext),
+                cntFrames: 0,
+                cntFramesInterval: 0,
+                dlc: {},
+                tsFirst: ts,
+                tsLast: ts,
+                lastData: '',
+            };
+        }
+        const stat = this.canIds[msg.id];
+        const dlc = msg.data.length;
+        stat.known = stat.known || known;
+        stat.cntFrames += 1;
+        stat.cntFramesInterval += 1;
+        stat.dlc[dlc] = (stat.dlc[dlc] || 0) + 1;
+        stat.tsLast = ts;
+        stat.lastData = Buffer.from(msg.data).toString('hex').toUpperCase();
+        this.cntFramesInterval += 1;
+        this.cntBitsInterval += this.frameBits(msg);
+    }
+
+    /**
+     * Return statistics of actual interval and start next one
+     *
+     * @param {number} tsNow  Actual timestamp
+     */
+    getStats(tsNow) {
+        const secs = Math.max(tsNow - this.tsInterval, 1) / 1000;
+        const canIds = {};
+        for (const [canId, stat] of Object.entries(this.canIds)) {
+            canIds[`0x${Number(canId).toString(16)}`] = {
+                known: stat.known,
+                ext: stat.ext,
+                cntFrames: stat.cntFrames,
+                frameRate: Math.round((100 * stat.cntFramesInterval) / secs) / 100,
+                dlc: stat.dlc,
+                firstSeen: new Date(stat.tsFirst).toISOString(),
+                lastSeen: new Date(stat.tsLast).toISOString(),
+                lastData: stat.lastData,
+            };
+            stat.cntFramesInterval = 0;
+        }
+        const stats = {
+            load: Math.round(this.cntBitsInterval / (this.config.bitrate * secs)) / 10, // bitrate in kbit/s, load in %
+            frameRate: Math.round((100 * this.cntFramesInterval) / secs) / 100,
+            cntCanIds: Object.keys(canIds).length,
+            canIds: canIds,
+        };
+        this.cntFramesInterval = 0;
+        this.cntBitsInterval = 0;
+        this.tsInterval = tsNow;
+        return stats;
+    }
+
+    /**
+     * Store statistics of actual interval
+     *
+     * @param {object} ctx  Adapter context
+     */
+    async storeStats(ctx) {
+        try {
+            const stats = this.getStats(new Date().getTime());
+            await ctx.setStateAsync(`${this.stateBase}.load`, stats.load, true);
+            await ctx.setStateAsync(`${this.stateBase}.frameRate`, stats.frameRate, true);
+            await ctx.setStateAsync(`${this.stateBase}.cntCanIds`, stats.cntCanIds, true);
+            await ctx.setStateAsync(`${this.stateBase}.canIds`, JSON.stringify(stats.canIds), true);
+        } catch (e) {
+            ctx.log.error(`Storing of statistics of CAN traffic on ${this.config.busName} failed. err=${e.message}`);
+        }
+    }
+}
+
+module.exports = {
+    sniffer,
+};
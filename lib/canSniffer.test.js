@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Tests for statistics of CAN traffic
+ *
+ * It's automatically excluded from npm and its build output is excluded from both git and npm.
+ * It is advised to test all your modules with accompanying *.test.js-files
+ */
+
+// tslint:disable:no-unused-expression
+
+const { expect } = require('@iobroker/testing/node_modules/chai');
+const canSniffer = require('./canSniffer');
+const { mockAdapter } = require('../test/mockAdapter');
+
+function frame(id, data, ext = false) {
+    return { ts_sec: 1700000000, ts_usec: 500000, id: id, ext: ext, rtr: false, data: Buffer.from(data) };
+}
+
+describe('canSniffer.js => statistics per CAN id', () => {
+    let sniffer;
+
+    beforeEach(() => {
+        sniffer = new canSniffer.sniffer({ bus: 'ext', busName: 'external CAN bus', bitrate: 250, interval: 60 });
+        sniffer.tsInterval = 0;
+    });
+
+    it('counts frames, DLCs and rates per CAN id', () => {
+        sniffer.msgSniff(frame(0x693, [0x21, 0x0c, 0x01, 0xb9, 0x8c, 0x01, 0xc1, 0x00]), true);
+        sniffer.msgSniff(frame(0x693, [0x22, 0x7a]), true);
+        sniffer.msgSniff(frame(0x1abc, [1, 2, 3], true), false);
+        const stats = sniffer.getStats(2000);
+        expect(stats.frameRate).to.equal(1.5);
+        expect(stats.cntCanIds).to.equal(2);
+        expect(stats.canIds['0x693']).to.deep.equal({
+            known: true,
+            ext: false,
+            cntFrames: 2,
+            frameRate: 1,
+            dlc: { 2: 1, 8: 1 },
+            firstSeen: '2023-11-14T22:13:20.500Z',
+            lastSeen: '2023-11-14T22:13:20.500Z',
+            lastData: '227A',
+        });
+        expect(stats.canIds['0x1abc']).to.include({ known: false, ext: true, lastData: '010203' });
+    });
+    it('estimates bus load', () => {
+        // 111 bits per standard frame with 8 bytes of data
+        for (let i = 0; i < 1000; i++) {
+            sniffer.msgSniff(frame(0x250, [0, 0, 0, 0, 0, 0, 0, 0]), true);
+        }
+        expect(sniffer.getStats(1000).load).to.equal(44.4);
+        // Counters are reset for next interval
+        expect(sniffer.getStats(2000)).to.include({ load: 0, frameRate: 0, cntCanIds: 1 });
+    });
+    it('stores statistics in channel info.bus', async () => {
+        const ctx = mockAdapter();
+        sniffer.msgSniff(frame(0x451, [0x21]), false);
+        await sniffer.storeStats(ctx);
+        expect(ctx.states['info.bus.ext.cntCanIds'].val).to.equal(1);
+        expect(JSON.parse(ctx.states['info.bus.ext.canIds'].val)).to.have.property('0x451');
+        expect(ctx.states['info.bus.ext.load'].ack).to.equal(true);
+    });
+});
@@ -0,0 +1,596 @@
+const fs = require('fs');
+const net = require('net');
+const can = require('socketcan');
+const canCapture = require('./canCapture');
+
+/**
+ *  Base class for CAN transports
+ *
+ *  All transports offer the interface of a socketcan raw channel: addListener(), start(), stop() and send().
+ *  Received frames are passed to listeners 'onMessage' as { ts_sec, ts_usec, id, ext, rtr, data }.
+ */
+class canTransport {
+    /**
+     * @param {string} name  Name of CAN channel, e.g. can0 or host:port
+     */
+    constructor(name) {
+        this.name = name;
+        this.listeners = { onMessage: [], onStopped: [] };
+    }
+
+    /**
+     * Add listener for event
+     *
+     * @param {string} event  Event name ('onMessage' or 'onStopped')
+     * @param {Function} callback  Listener function
+     * @param {object} ctx  Context (this) for call of listener
+     */
+    addListener(event, callback, ctx) {
+        if (event in this.listeners && typeof callback === 'function') {
+            this.listeners[event].push({ callback: callback, ctx: ctx });
+        }
+    }
+
+    /**
+     * Call all listeners registered for event. Listeners get the CAN frame and the emitting channel.
+     *
+     * @param {string} event  Event name
+     * @param {object} [msg]  CAN frame received
+     */
+    emit(event, msg) {
+        for (const listener of this.listeners[event]) {
+            listener.callback.call(listener.ctx, msg, this);
+        }
+    }
+
+    /**
+     * Return CAN frame object in socketcan format
+     *
+     * @param {number} id  CAN id
+     * @param {boolean} ext  Extended frame format
+     * @param {boolean} rtr  Remote transmission request
+     * @param {Array} data  Data bytes
+     */
+    canFrame(id, ext, rtr, data) {
+        const ts = new Date().getTime();
+        return {
+            ts_sec: Math.floor(ts / 1000),
+            ts_usec: (ts % 1000) * 1000,
+            id: id,
+            ext: ext,
+            rtr: rtr,
+            data: Buffer.from(data),
+        };
+    }
+}
+
+/**
+ *  CAN transport based on a local socketcan interface (Linux only)
+ */
+class socketcanTransport extends canTransport {
+    /**
+     * @param {string} name  Name of CAN interface, e.g. can0
+     */
+    constructor(name) {
+        super(name);
+        this.channel = null;
+    }
+
+    /**
+     * Open CAN interface
+     */
+    start() {
+        this.channel = can.createRawChannel(this.name, true);
+        this.channel.addListener('onMessage', msg => this.emit('onMessage', msg));
+        this.channel.addListener('onStopped', () => this.emit('onStopped'));
+        this.channel.start();
+    }
+
+    /**
+     * Close CAN interface
+     */
+    stop() {
+        if (this.channel) {
+            this.channel.stop();
+        }
+    }
+
+    /**
+     * Send CAN frame
+     *
+     * @param {object} msg  CAN frame
+     */
+    send(msg) {
+        if (this.channel) {
+            this.channel.send(msg);
+        }
+    }
+}
+
+/**
+ *  CAN transport based on a TCP connection to a CAN gateway
+ *
+ *  Protocol specific parts (framing) are implemented by derived classes.
+ */
+class tcpTransport extends canTransport {
+    /**
+     * @param {string} name  Address of gateway, e.g. 192.168.1.10:20000
+     */
+    constructor(name) {
+        super(name);
+        const sep = name.lastIndexOf(':');
+        this.host = sep > 0 ? name.slice(0, sep) : name;
+        this.port = sep > 0 ? Number(name.slice(sep + 1)) : 0;
+        this.connectTimeout = 5000; // Timeout (ms) for establishing connection
+        this.socket = null;
+        this.rxBuffer = Buffer.alloc(0);
+        this.connected = false;
+    }
+
+    /**
+     * Connect to gateway. Resolves, when connection is ready for data exchange.
+     */
+    start() {
+        if (!this.host || !(this.port > 0 && this.port < 65536)) {
+            return Promise.reject(new Error(`Bad address of CAN gateway "${this.name}". Expected host:port`));
+        }
+        return new Promise((resolve, reject) => {
+            let ready = false;
+            const socket = net.connect({ host: this.host, port: this.port });
+            socket.setNoDelay(true);
+            socket.setTimeout(this.connectTimeout);
+            socket.on('timeout', () => {
+                if (!ready) {
+                    socket.destroy(new Error(`Timeout connecting to ${this.name}`));
+                }
+            });
+            socket.on('connect', async () => {
+                try {
+                    await this.onConnect(socket);
+                    socket.setTimeout(0);
+                    ready = true;
+                    this.connected = true;
+                    if (this.rxBuffer.length > 0) {
+                        this.rxBuffer = this.parse(this.rxBuffer);
+                    }
+                    resolve(true);
+                } catch (e) {
+                    socket.destroy(e);
+                }
+            });
+            socket.on('data', data => {
+                if (ready) {
+                    this.rxBuffer = Buffer.concat([this.rxBuffer, data]);
+                    this.rxBuffer = this.parse(this.rxBuffer);
+                } else {
+                    this.onHandshakeData(data);
+                }
+            });
+            socket.on('error', e => {
+                if (!ready) {
+                    reject(e);
+                }
+            });
+            socket.on('close', () => {
+                this.socket = null;
+                if (ready) {
+                    this.connected = false;
+                    this.emit('onStopped');
+                }
+            });
+            this.socket = socket;
+        });
+    }
+
+    /**
+     * Close connection to gateway
+     */
+    stop() {
+        if (this.socket) {
+            this.socket.end();
+            this.socket.destroy();
+        }
+    }
+
+    /**
+     * Send CAN frame
+     *
+     * @param {object} msg  CAN frame
+     */
+    send(msg) {
+        if (!this.connected || !this.socket) {
+            throw new Error(`CAN gateway ${this.name} not connected`);
+        }
+        this.socket.write(this.encode(msg));
+    }
+
+    /**
+     * Perform protocol specific handshake after connection was established
+     *
+     * @param {object} _socket  Connected socket
+     */
+    async onConnect(_socket) {}
+
+    /**
+     * Receive data during protocol specific handshake
+     *
+     * @param {Buffer} _data  Received data
+     */
+    onHandshakeData(_data) {}
+
+    /**
+     * Extract all complete CAN frames from receive buffer and return remaining data
+     *
+     * @param {Buffer} buffer  Received data
+     */
+    parse(buffer) {
+        return Buffer.from(buffer); // Nothing processed
+    }
+
+    /**
+     * Encode CAN frame for transmission
+     *
+     * @param {object} _msg  CAN frame
+     */
+    encode(_msg) {
+        return Buffer.alloc(0);
+    }
+}
+
+/**
+ *  CAN gateway using ASCII protocol of slcan (Lawicel), e.g. slcan adapter behind ser2net or socat
+ *
+ *  Frames: tIIILDD..<CR> (standard id), TIIIIIIIILDD..<CR> (extended id), rIIIL<CR> / RIIIIIIIIL<CR> (remote)
+ */
+class slcanTransport extends tcpTransport {
+    /**
+     * @param {Buffer} buffer  Received data
+     */
+    parse(buffer) {
+        let start = 0;
+        let end = buffer.indexOf(0x0d);
+        while (end >= 0) {
+            // Error indications (BEL) and line feeds are skipped
+            const parts = buffer.toString('latin1', start, end).split('\x07');
+            const line = parts[parts.length - 1].trim();
+            if (line.length > 0) {
+                const msg = this.decodeLine(line);
+                if (msg) {
+                    this.emit('onMessage', msg);
+                }
+            }
+            start = end + 1;
+            end = buffer.indexOf(0x0d, start);
+        }
+        return Buffer.from(buffer.subarray(start));
+    }
+
+    /**
+     * Decode single slcan line to CAN frame. Returns null, if line is not a CAN frame.
+     *
+     * @param {string} line  slcan line w/o trailing CR
+     */
+    decodeLine(line) {
+        const type = line[0];
+        if (!['t', 'T', 'r', 'R'].includes(type)) {
+            return null; // Confirmation or status message
+        }
+        const ext = type == 'T' || type == 'R';
+        const rtr = type == 'r' || type == 'R';
+        const idLen = ext ? 8 : 3;
+        const id = parseInt(line.slice(1, 1 + idLen), 16);
+        const dlc = parseInt(line[1 + idLen], 16);
+        if (isNaN(id) || isNaN(dlc) || dlc > 8) {
+            return null;
+        }
+        const data = [];
+        if (!rtr) {
+            for (let i = 0; i < dlc; i++) {
+                data.push(parseInt(line.slice(2 + idLen + 2 * i, 4 + idLen + 2 * i), 16));
+            }
+            if (data.length != dlc || data.some(isNaN)) {
+                return null;
+            }
+        }
+        return this.canFrame(id, ext, rtr, data);
+    }
+
+    /**
+     * @param {object} msg  CAN frame
+     */
+    encode(msg) {
+        let type = msg.ext ? 'T' : 't';
+        if (msg.rtr) {
+            type = type == 'T' ? 'R' : 'r';
+        }
+        const id = Number(msg.id)
+            .toString(16)
+            .toUpperCase()
+            .padStart(msg.ext ? 8 : 3, '0');
+        const data = msg.rtr ? '' : msg.data.toString('hex').toUpperCase();
+        return Buffer.from(`${type}${id}${String(msg.data.length)}${data}\r`, 'latin1');
+    }
+}
+
+/**
+ *  CAN gateway using TCP mode of cannelloni (https://github.com/mguentner/cannelloni)
+ *
+ *  After exchange of a greeting each frame is sent as: can_id (uint32, big endian) | len (uint8) | data
+ */
+class cannelloniTransport extends tcpTransport {
+    /**
+     * @param {string} name  Address of gateway, e.g. 192.168.1.10:20000
+     */
+    constructor(name) {
+        super(name);
+        this.greeting = 'CANNELLONIv1';
+        this.handshake = Buffer.alloc(0);
+        this.handshakeDone = null;
+        this.CAN_EFF_FLAG = 0x80000000;
+        this.CAN_RTR_FLAG = 0x40000000;
+        this.CAN_EFF_MASK = 0x1fffffff;
+        this.CANFD_FRAME = 0x80;
+    }
+
+    /**
+     * Exchange greeting with cannelloni
+     *
+     * @param {object} socket  Connected socket
+     */
+    onConnect(socket) {
+        return new Promise((resolve, reject) => {
+            this.handshakeDone = { resolve: resolve, reject: reject };
+            socket.write(this.greeting, 'latin1');
+        });
+    }
+
+    /**
+     * @param {Buffer} data  Received data
+     */
+    onHandshakeData(data) {
+        this.handshake = Buffer.concat([this.handshake, data]);
+        if (this.handshake.length < this.greeting.length || !this.handshakeDone) {
+            return;
+        }
+        if (this.handshake.toString('latin1', 0, this.greeting.length) == this.greeting) {
+            // Data following the greeting belongs to first frames
+            this.rxBuffer = Buffer.from(this.handshake.subarray(this.greeting.length));
+            this.handshakeDone.resolve(true);
+        } else {
+            this.handshakeDone.reject(new Error(`Bad greeting from cannelloni at ${this.name}`));
+        }
+        this.handshakeDone = null;
+    }
+
+    /**
+     * @param {Buffer} buffer  Received data
+     */
+    parse(buffer) {
+        let pos = 0;
+        while (buffer.length - pos >= 5) {
+            const canId = buffer.readUInt32BE(pos);
+            let len = buffer[pos + 4];
+            let hdrLen = 5;
+            if (len & this.CANFD_FRAME) {
+                // CAN FD frame carries an additional flags byte
+                len &= ~this.CANFD_FRAME;
+                hdrLen = 6;
+            }
+            const rtr = (canId & this.CAN_RTR_FLAG) != 0;
+            const dataLen = rtr ? 0 : len;
+            if (buffer.length - pos < hdrLen + dataLen) {
+                break; // Frame not complete yet
+            }
+            const data = Array.from(buffer.subarray(pos + hdrLen, pos + hdrLen + dataLen));
+            const ext = (canId & this.CAN_EFF_FLAG) != 0;
+            this.emit('onMessage', this.canFrame(canId & this.CAN_EFF_MASK, ext, rtr, data));
+            pos += hdrLen + dataLen;
+        }
+        return Buffer.from(buffer.subarray(pos));
+    }
+
+    /**
+     * @param {object} msg  CAN frame
+     */
+    encode(msg) {
+        let canId = Number(msg.id) & this.CAN_EFF_MASK;
+        if (msg.ext) {
+            canId = (canId | this.CAN_EFF_FLAG) >>> 0;
+        }
+        if (msg.rtr) {
+            canId = (canId | this.CAN_RTR_FLAG) >>> 0;
+        }
+        const hdr = Buffer.alloc(5);
+        hdr.writeUInt32BE(canId, 0);
+        hdr[4] = msg.data.length;
+        return Buffer.concat([hdr, msg.rtr ? Buffer.alloc(0) : msg.data]);
+    }
+}
+
+/**
+ *  Replay of a CAN log file in candump format using original timing
+ *
+ *  Name is the path of the log file. Appending '@' and the bus name, e.g. /tmp/candump.log@can1, replays frames of this bus only.
+ *  Frames sent to this transport are dropped.
+ */
+class replayTransport extends canTransport {
+    /**
+     * @param {string} name  Path of log file, optionally followed by '@' and bus name
+     */
+    constructor(name) {
+        super(name);
+        const sep = name.lastIndexOf('@');
+        this.file = sep > 0 ? name.slice(0, sep) : name;
+        this.bus = sep > 0 ? name.slice(sep + 1) : '';
+        this.realtime = true; // Replay using original timing
+        this.frames = [];
+        this.timeoutHandle = null;
+        this.running = false;
+        this.done = Promise.resolve(true); // Resolves when replay is completed or stopped
+        this.onDone = () => {};
+        this.cntReplayed = 0;
+    }
+
+    /**
+     * Read log file and start replay
+     */
+    start() {
+        this.frames = fs
+            .readFileSync(this.file, 'latin1')
+            .split('\n')
+            .map(line => canCapture.parseCandumpLine(line))
+            .filter(msg => msg && (this.bus == '' || msg.bus == this.bus));
+        this.running = true;
+        this.cntReplayed = 0;
+        this.done = new Promise(resolve => {
+            this.onDone = () => resolve(true);
+        });
+        this.timeoutHandle = setTimeout(() => this.replayNext(), 0);
+    }
+
+    /**
+     * Pass next frame to listeners and schedule the following one
+     */
+    replayNext() {
+        this.timeoutHandle = null;
+        if (!this.running || this.cntReplayed >= this.frames.length) {
+            this.running = false;
+            this.onDone();
+            return;
+        }
+        const msg = this.frames[this.cntReplayed];
+        this.cntReplayed += 1;
+        this.emit('onMessage', msg);
+        let delay = 0;
+        if (this.realtime && this.cntReplayed < this.frames.length) {
+            const next = this.frames[this.cntReplayed];
+            delay = (next.ts_sec - msg.ts_sec) * 1000 + (next.ts_usec - msg.ts_usec) / 1000;
+        }
+        this.timeoutHandle = setTimeout(() => this.replayNext(), Math.max(0, delay));
+    }
+
+    /**
+     * Stop replay
+     */
+    stop() {
+        if (this.timeoutHandle) {
+            clearTimeout(this.timeoutHandle);
+            this.timeoutHandle = null;
+        }
+        if (this.running) {
+            this.running = false;
+            this.onDone();
+        }
+        this.emit('onStopped');
+    }
+
+    /**
+     * Sending is not possible on a replay
+     *
+     * @param {object} _msg  CAN frame
+     */
+    send(_msg) {}
+}
+
+/**
+ *  Replay of a CAN log file in candump format as fast as possible
+ */
+class replayFastTransport extends replayTransport {
+    /**
+     * @param {string} name  Path of log file, optionally followed by '@' and bus name
+     */
+    constructor(name) {
+        super(name);
+        this.realtime = false;
+    }
+}
+
+const loopbackBuses = {}; // Channels of virtual buses by name
+
+/**
+ *  In-process virtual CAN bus
+ *
+ *  All loopback channels using the same name share one bus. Frames sent on a channel are passed to all other
+ *  started channels of this bus, e.g. to connect the adapter to the UDS simulator without any CAN hardware.
+ */
+class loopbackTransport extends canTransport {
+    /**
+     * @param {string} name  Name of virtual bus
+     */
+    constructor(name) {
+        super(name);
+        this.running = false;
+    }
+
+    /**
+     * Attach channel to virtual bus
+     */
+    start() {
+        if (!(this.name in loopbackBuses)) {
+            loopbackBuses[this.name] = new Set();
+        }
+        loopbackBuses[this.name].add(this);
+        this.running = true;
+    }
+
+    /**
+     * Detach channel from virtual bus
+     */
+    stop() {
+        if (this.name in loopbackBuses) {
+            loopbackBuses[this.name].delete(this);
+        }
+        this.running = false;
+        this.emit('onStopped');
+    }
+
+    /**
+     * Pass CAN frame to all other channels of virtual bus
+     *
+     * @param {object} msg  CAN frame { id, ext, rtr, data }
+     */
+    send(msg) {
+        if (!this.running) {
+            throw new Error(`CAN channel ${this.name} not started`);
+        }
+        const frame = this.canFrame(msg.id, msg.ext, msg.rtr, msg.data);
+        for (const channel of loopbackBuses[this.name]) {
+            if (channel !== this) {
+                // Deliver asynchronously like a real bus, i.e. never within the call of send()
+                setImmediate(() => {
+                    if (channel.running) {
+                        channel.emit('onMessage', frame);
+                    }
+                });
+            }
+        }
+    }
+}
+
+const canTransports = {
+    socketcan: socketcanTransport,
+    slcan: slcanTransport,
+    cannelloni: cannelloniTransport,
+    replay: replayTransport,
+    replayFast: replayFastTransport,
+    loopback: loopbackTransport,
+};
+
+/**
+ * Create CAN channel for given transport
+ *
+ * @param {string} transport  Type of transport (socketcan, slcan, cannelloni)
+ * @param {string} name  Name of CAN interface (socketcan) or address of gateway (host:port)
+ */
+function createChannel(transport, name) {
+    if (!(transport in canTransports)) {
+        throw new Error(`Unknown CAN transport "${transport}"`);
+    }
+    return new canTransports[transport](name);
+}
+
+module.exports = {
+    canTransport,
+    canTransports,
+    createChannel,
+};
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Tests for CAN transports
+ *
+ * It's automatically excluded from npm and its build output is excluded from both git and npm.
+ * It is advised to test all your modules with accompanying *.test.js-files
+ */
+
+// tslint:disable:no-unused-expression
+
+const { expect } = require('@iobroker/testing/node_modules/chai');
+const net = require('net');
+const canTransport = require('./canTransport');
+
+describe('canTransport.js => events', () => {
+    it('passes emitting channel to listeners of onStopped', () => {
+        const channel = canTransport.createChannel('loopback', 'stopbus');
+        const stopped = [];
+        channel.addListener('onStopped', (msg, ch) => stopped.push(ch), null);
+        channel.start();
+        channel.stop();
+        expect(stopped).to.have.length(1);
+        expect(stopped[0]).to.equal(channel);
+    });
+});
+
+// Feed received chunks to transport like its socket does and collect frames emitted
+function feed(channel, chunks) {
+    const frames = [];
+    channel.addListener('onMessage', msg => frames.push(msg), null);
+    for (const chunk of chunks) {
+        channel.rxBuffer = channel.parse(Buffer.concat([channel.rxBuffer, Buffer.from(chunk, 'latin1')]));
+    }
+    return frames.map(msg => ({ id: msg.id, ext: msg.ext, rtr: msg.rtr, data: Array.from(msg.data) }));
+}
+
+describe('canTransport.js => slcan', () => {
+    let channel;
+
+    beforeEach(() => {
+        channel = canTransport.createChannel('slcan', '127.0.0.1:20000');
+    });
+
+    it('decodes standard, extended and remote frames', () => {
+        expect(feed(channel, ['t69322101\rT1ABCDEF03AABBCC\rr6930\rR000006F02\r'])).to.deep.equal([
+            { id: 0x693, ext: false, rtr: false, data: [0x21, 0x01] },
+            { id: 0x1abcdef0, ext: true, rtr: false, data: [0xaa, 0xbb, 0xcc] },
+            { id: 0x693, ext: false, rtr: true, data: [] },
+            { id: 0x6f0, ext: true, rtr: true, data: [] },
+        ]);
+    });
+    it('decodes frame split across two chunks', () => {
+        expect(feed(channel, ['t693221', '01\r'])).to.deep.equal([
+            { id: 0x693, ext: false, rtr: false, data: [0x21, 0x01] },
+        ]);
+        expect(channel.rxBuffer.length).to.equal(0);
+    });
+    it('skips error indications and confirmations', () => {
+        expect(feed(channel, ['\x07t6931FF\r\rz\rt6931x1\r'])).to.deep.equal([
+            { id: 0x693, ext: false, rtr: false, data: [0xff] },
+        ]);
+    });
+    it('encodes standard, extended and remote frames', () => {
+        const encode = msg => channel.encode(msg).toString('latin1');
+        expect(encode({ id: 0x680, ext: false, rtr: false, data: Buffer.from([0x03, 0x22, 0x01, 0x8c]) })).to.equal(
+            't68040322018C\r',
+        );
+        expect(encode({ id: 0x1abcdef0, ext: true, rtr: false, data: Buffer.from([0xaa]) })).to.equal('T1ABCDEF01AA\r');
+        expect(encode({ id: 0x693, ext: false, rtr: true, data: Buffer.alloc(0) })).to.equal('r6930\r');
+        expect(encode({ id: 0x6f0, ext: true, rtr: true, data: Buffer.alloc(0) })).to.equal('R000006F00\r');
+    });
+});
+
+describe('canTransport.js => cannelloni', () => {
+    let channel;
+
+    beforeEach(() => {
+        channel = canTransport.createChannel('cannelloni', '127.0.0.1:20000');
+    });
+
+    it('decodes standard, extended and remote frames', () => {
+        const chunk = Buffer.concat([
+            Buffer.from([0x00, 0x00, 0x06, 0x93, 0x02, 0x21, 0x01]),
+            Buffer.from([0x9a, 0xbc, 0xde, 0xf0, 0x01, 0xaa]),
+            Buffer.from([0x40, 0x00, 0x06, 0x93, 0x00]),
+        ]);
+        expect(feed(channel, [chunk.toString('latin1')])).to.deep.equal([
+            { id: 0x693, ext: false, rtr: false, data: [0x21, 0x01] },
+            { id: 0x1abcdef0, ext: true, rtr: false, data: [0xaa] },
+            { id: 0x693, ext: false, rtr: true, data: [] },
+        ]);
+    });
+    it('decodes frame split across two chunks', () => {
+        const frames = feed(channel, ['\x00\x00\x06\x93', '\x03\x21', '\x01\x02']);
+        expect(frames).to.deep.equal([{ id: 0x693, ext: false, rtr: false, data: [0x21, 0x01, 0x02] }]);
+        expect(channel.rxBuffer.length).to.equal(0);
+    });
+    it('encodes standard, extended and remote frames', () => {
+        const encode = msg => Array.from(channel.encode(msg));
+        expect(encode({ id: 0x680, ext: false, rtr: false, data: Buffer.from([0x03, 0x22]) })).to.deep.equal([
+            0x00, 0x00, 0x06, 0x80, 0x02, 0x03, 0x22,
+        ]);
+        expect(encode({ id: 0x1abcdef0, ext: true, rtr: false, data: Buffer.from([0xaa]) })).to.deep.equal([
+            0x9a, 0xbc, 0xde, 0xf0, 0x01, 0xaa,
+        ]);
+        expect(encode({ id: 0x693, ext: false, rtr: true, data: Buffer.alloc(0) })).to.deep.equal([
+            0x40, 0x00, 0x06, 0x93, 0x00,
+        ]);
+    });
+    it('accepts greeting and first frame in same chunk', async () => {
+        const server = net.createServer(socket => {
+            socket.once('data', () => {
+                socket.write(Buffer.concat([Buffer.from('CANNELLONIv1', 'latin1'), Buffer.from([0, 0, 6, 0x93, 1, 0x42])]));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(true)));
+        const address = server.address();
+        const port = address && typeof address == 'object' ? address.port : 0;
+        const gateway = canTransport.createChannel('cannelloni', `127.0.0.1:${port}`);
+        const frames = [];
+        gateway.addListener('onMessage', msg => frames.push(msg), null);
+        try {
+            await gateway.start();
+            expect(frames).to.have.length(1);
+            expect(frames[0]).to.include({ id: 0x693, ext: false, rtr: false });
+            expect(Array.from(frames[0].data)).to.deep.equal([0x42]);
+        } finally {
+            gateway.stop();
+            await new Promise(resolve => server.close(() => resolve(true)));
+        }
+    });
+});
@@ -1,4 +1,50 @@
 const storage = require('./storage');
+const canCapture = require('./canCapture');
+const E3 = require('./codecs');
+
+// Names of negative response codes according to ISO 14229-1
+const udsNrcNames = {
+    0x10: 'generalReject',
+    0x11: 'serviceNotSupported',
+    0x12: 'subFunctionNotSupported',
+    0x13: 'incorrectMessageLengthOrInvalidFormat',
+    0x14: 'responseTooLong',
+    0x21: 'busyRepeatRequest',
+    0x22: 'conditionsNotCorrect',
+    0x24: 'requestSequenceError',
+    0x25: 'noResponseFromSubnetComponent',
+    0x26: 'failurePreventsExecutionOfRequestedAction',
+    0x31: 'requestOutOfRange',
+    0x33: 'securityAccessDenied',
+    0x35: 'invalidKey',
+    0x36: 'exceedNumberOfAttempts',
+    0x37: 'requiredTimeDelayNotExpired',
+    0x70: 'uploadDownloadNotAccepted',
+    0x71: 'transferDataSuspended',
+    0x72: 'generalProgrammingFailure',
+    0x73: 'wrongBlockSequenceCounter',
+    0x78: 'responsePending',
+    0x7e: 'subFunctionNotSupportedInActiveSession',
+    0x7f: 'serviceNotSupportedInActiveSession',
+    0x92: 'voltageTooHigh',
+    0x93: 'voltageTooLow',
+};
+const udsNrcResponsePending = 0x78;
+const udsNrcRetrySID77 = [0x11, 0x22, 0x31, 0x33, 0x7f]; // Refusals of service 2E which may succeed using service 77
+const udsNrcBatchRejected = [0x13, 0x14, 0x31]; // Refusals of ReadByDid on multiple dids
+
+// Priorities of queued commands, highest priority first
+const udsCmndPriorities = ['write', 'userRead', 'scheduledRead', 'scan'];
+const udsCmndMaxSkipped = 8; // Max. number of commands executed while a lower priority is waiting
+
+/**
+ * Return name of negative response code
+ *
+ * @param {number} nrc  Negative response code
+ */
+function udsNrcName(nrc) {
+    return nrc in udsNrcNames ? udsNrcNames[nrc] : `unknownNrc0x${Number(nrc).toString(16)}`;
+}
 
 class scheduleLoop {
     constructor(ctxGlobal, ctxLocal, schedule) {
@@ -14,7 +60,13 @@ class scheduleLoop {
             await this.ctxGlobal.log.silly(
                 `UDS schedule one time: ${this.ctxLocal.canIDhex}.${JSON.stringify(this.dids)}`,
             );
-            await this.ctxLocal.pushCmnd(this.ctxGlobal, 'read', this.dids);
+            await this.ctxLocal.pushCmnd(
+                this.ctxGlobal,
+                'read',
+                this.dids,
+                'scheduledRead',
+                `schedule${this.schedule}`,
+            );
             this.schedHandle = null;
         } else {
             this.schedHandle = ctx.setInterval(async () => {
@@ -51,7 +103,7 @@ class scheduleLoop {
         await this.ctxGlobal.log.silly(
             `UDS schedule: ${String(this.schedule)} ${this.ctxLocal.canIDhex}.${JSON.stringify(this.dids)}`,
         );
-        await this.ctxLocal.pushCmnd(this.ctxGlobal, 'read', this.dids);
+        await this.ctxLocal.pushCmnd(this.ctxGlobal, 'read', this.dids, 'scheduledRead', `schedule${this.schedule}`);
     }
 }
 
@@ -67,7 +119,7 @@ class uds {
         this.config.statId = 'statUDS';
         this.config.worker = 'uds';
         this.storage = new storage.storage(this.config);
-        this.states = ['standby', 'waitForFFrbd', 'waitForCFrbd', 'waitForFFSFwbd', 'waitForFFMFwbd'];
+        this.states = ['standby', 'waitForFFrbd', 'waitForCFrbd', 'waitForFFSFwbd', 'waitForFFMFwbd', 'waitForFCrbd'];
         this.readByDidProt = {
             idTx: this.config.canID,
             idRx: Number(this.config.canID) + 0x10,
@@ -111,29 +163,56 @@ class uds {
             D0: 0x21,
             txPos: 0,
             cntFCrx: -1, // Counter till next 'Frame Control frame': 0 ==> FCf expected as next frame
+            batch: Array(0), // Dids requested by recent ReadByDid on multiple dids
+            prio: 'userRead', // Priority of recent command
         };
         this.canIDhex = `0x${Number(this.config.canID).toString(16)}`;
         this.SID77addrOffset = 0x02;
-        this.cmndsQueue = [];
+        this.cmndsQueue = {}; // Queued commands per priority
+        this.cmndsSkipped = {}; // Number of commands executed while priority was waiting
+        for (const prio of udsCmndPriorities) {
+            this.cmndsQueue[prio] = [];
+            this.cmndsSkipped[prio] = 0;
+        }
+        this.cmndsServed = {}; // Sequence number of last command executed per source, e.g. per schedule
+        this.cmndsCntServed = 0;
         this.cmndsHandle = null;
         this.cmndsUpdateTime = 40; // Check for new commands (ms)
         this.busy = false; // Worker is busy
         this.commBusy = false; // Communication routine running
         this.schedules = {};
         this.userReadByDidId = `${this.config.stateBase}.cmnd.udsReadByDid`;
+        this.lastWriteResultId = `${this.config.stateBase}.cmnd.lastWriteResult`;
+        this.writeTransactions = {}; // User writes per did waiting for confirmation and read-back
+        this.writeOwner = this; // Worker keeping track of write transactions. Differs for service 77 workers.
+        this.writeReadBackDelay = 2500; // Delay of read-back after write (ms)
+        this.dryRun = Boolean(this.config.dryRun); // Publish frames of user writes instead of sending them
+        this.dryRunFramesId = `${this.config.stateBase}.cmnd.dryRunFrames`;
+        this.writeAuditLogId = `${this.config.stateBase}.cmnd.writeAuditLog`;
+        this.undoLastWriteId = `${this.config.stateBase}.cmnd.undoLastWrite`;
+        this.writeAuditLog = null; // Entries of audit log, read from state on first use
+        this.writeAuditLogSize = 100; // Max. number of entries kept in audit log
         this.timeoutHandle = null;
         this.callback = null;
         this.coolDownTs = 0; // Earliest time for next communication
+        this.opModeSuspended = ''; // Operation mode to be restored when CAN bus is available again
+        this.readBatchSize = Number(this.config.readBatchSize) || 1; // Max. number of dids per ReadByDid request
+        this.readBatchSupported = true; // Set to false, if device rejects ReadByDid on multiple dids
+        this.cntBatchFailed = 0; // Number of consecutive failures of ReadByDid on multiple dids, e.g. timeouts
+        this.maxBatchFailed = 3; // Give up reading multiple dids per request after this number of consecutive failures
+        this.maxLenIsoTp = 4095; // Max. length of UDS message on CAN
         this.stat = {
             state: 'standby',
             CANdevAddr: '', // CAN device address (hex)
             cntCommTotal: 0, // Number of startes communications
             cntCommOk: 0, // Number of succesfull communications
             cntCommNR: 0, // Number of communications ending in negative response
+            cntCommNRperCode: {}, // Number of negative responses per response code, e.g. { requestOutOfRange: 2 }
             cntCommTimeout: 0, // Number of communications ending in timeout
             cntCommBadProtocol: 0, // Number of bad communications, e.g. bad frame
             cntCommFailedPerDid: {}, // Number of communications failed (timeout or bad protocol) for specific did
             cntTooBusy: 0, // Number of conflicting calls of msgUds()
+            cntCmndsQueued: { write: 0, userRead: 0, scheduledRead: 0, scan: 0 }, // Queue depth per priority
             replyTime: { min: this.config.timeout, max: 0, mean: 0 },
             nextTs: 0, // Timestamp for next storage (earliest)
             tsMinStep: 5000, // Minimum time step between storages
@@ -168,6 +247,50 @@ class uds {
                 native: {},
             });
             await ctx.setStateAsync(this.userReadByDidId, { val: JSON.stringify([]), ack: true });
+            await ctx.setObjectNotExistsAsync(this.lastWriteResultId, {
+                type: 'state',
+                common: {
+                    name: 'Result of last WriteByDid incl. comparison with value read back',
+                    type: 'json',
+                    role: 'state',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+            await ctx.setObjectNotExistsAsync(this.dryRunFramesId, {
+                type: 'state',
+                common: {
+                    name: 'CAN frames of last WriteByDid in dry run mode (not sent)',
+                    type: 'json',
+                    role: 'state',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+            await ctx.setObjectNotExistsAsync(this.writeAuditLogId, {
+                type: 'state',
+                common: {
+                    name: 'Audit log of user writes: origin, did, old and new raw value',
+                    type: 'json',
+                    role: 'state',
+                    read: true,
+                    write: false,
+                },
+                native: {},
+            });
+            await ctx.setObjectNotExistsAsync(this.undoLastWriteId, {
+                type: 'state',
+                common: {
+                    name: 'Did to restore value from before last user write. Place command with ack=false.',
+                    type: 'number',
+                    role: 'state',
+                    read: true,
+                    write: true,
+                },
+                native: {},
+            });
             await this.storage.storeStatistics(ctx, this, true);
         }
         this.stat.state = 'standby';
@@ -271,6 +394,42 @@ class uds {
         return this.storage.getOpMode();
     }
 
+    /**
+     * Stop communication while CAN bus is not available. Queued commands are kept.
+     *
+     * @param {object} ctx  Adapter context
+     */
+    async suspend(ctx) {
+        const opMode = await this.getWorkerOpMode();
+        if (opMode == 'standby') {
+            return;
+        }
+        this.opModeSuspended = opMode;
+        await this.setWorkerOpMode('standby');
+        if (this.timeoutHandle) {
+            // Abort running communication
+            await ctx.clearTimeout(this.timeoutHandle);
+            this.timeoutHandle = null;
+        }
+        await this.setDidDone(ctx, 0);
+        await ctx.log.debug(`UDS worker on ${this.config.stateBase} suspended.`);
+    }
+
+    /**
+     * Resume communication on reconnected CAN bus
+     *
+     * @param {object} ctx  Adapter context
+     * @param {object} channel  CAN channel
+     */
+    async resume(ctx, channel) {
+        this.config.channel = channel;
+        if (this.opModeSuspended) {
+            await this.setWorkerOpMode(this.opModeSuspended);
+            this.opModeSuspended = '';
+            await ctx.log.debug(`UDS worker on ${this.config.stateBase} resumed.`);
+        }
+    }
+
     /**
      * Returns actual communication state of uds worker
      */
@@ -294,7 +453,8 @@ class uds {
     async setDidDone(ctx, coolDownTime) {
         // Finalize communication for recent did
         this.coolDownTs = new Date().getTime() + coolDownTime;
-        if (this.cmndsQueue.length == 0) {
+        this.data.batch = [];
+        if (this.cntCmnds() == 0) {
             this.busy = false;
         }
         await this.setComState(0);
@@ -308,7 +468,7 @@ class uds {
      *
      * @param {object} ctx  Caller context
      * @param {number} did  Requested DID
-     * @param {string} mode  Comm. mode (read or write)
+     * @param {string} mode  Comm. mode (read, readBatch or write)
      * @param {number} len  Requested DID
      */
     async setDidStart(ctx, did, mode, len) {
@@ -316,6 +476,9 @@ class uds {
             case 'read':
                 await this.setComState(1); // 'waitForFFrbd'
                 break;
+            case 'readBatch':
+                await this.setComState(5); // 'waitForFCrbd'
+                break;
             case 'write':
                 if (len <= 4) {
                     // Single frame communication
@@ -369,7 +532,7 @@ class uds {
      *
      * @param {object} ctx  Caller context
      * @param {number} schedule  Schedule time (s)
-     * @param {Array} dids  List if DIDs
+     * @param {string} dids  Comma separated list of DIDs
      */
     async addSchedule(ctx, schedule, dids) {
         if (!Object.keys(this.schedules).includes(String(schedule))) {
@@ -389,19 +552,29 @@ class uds {
      * Push commuincation command to queue
      *
      * @param {object} ctx  Caller context
-     * @param {string} mode  Comm. mode (read or write)
+     * @param {string} mode  Comm. mode (read, write or write77)
      * @param {Array} dids  List if DIDs
+     * @param {string} [prio]  Priority (write, userRead, scheduledRead or scan). Default depends on mode.
+     * @param {string} [source]  Origin of command, e.g. schedule. Sources of same priority are served in turn.
      */
-    async pushCmnd(ctx, mode, dids) {
+    async pushCmnd(ctx, mode, dids, prio = '', source = '') {
         await ctx.log.silly(
             `UDS worker on ${this.config.stateBase}: pushCmnd(): ${mode} ${String(this.canIDhex)}.${String(
                 JSON.stringify(dids),
             )}`,
         );
+        if (!udsCmndPriorities.includes(prio)) {
+            prio = mode == 'read' ? 'userRead' : 'write';
+        }
         if (Array.isArray(dids)) {
             for (const did of Object.values(dids)) {
-                await this.cmndsQueue.push({ mode: mode, did: did });
+                if (mode == 'read' && this.isReadQueued(did, prio)) {
+                    // Same did will be read anyway, e.g. schedule being slower than its cycle time
+                    continue;
+                }
+                this.cmndsQueue[prio].push({ mode: mode, did: did, prio: prio, source: source || prio });
             }
+            this.updateQueueStat();
         } else {
             await ctx.log.warn(
                 `UDS worker warning on ${
@@ -411,6 +584,78 @@ class uds {
         }
     }
 
+    /**
+     * Returns true, if read of did is already queued using given or higher priority
+     *
+     * @param {number} did  DID
+     * @param {string} prio  Priority
+     */
+    isReadQueued(did, prio) {
+        for (const lane of udsCmndPriorities.slice(0, udsCmndPriorities.indexOf(prio) + 1)) {
+            if (this.cmndsQueue[lane].some(cmnd => cmnd.mode == 'read' && cmnd.did == did)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Returns total number of queued commands
+     */
+    cntCmnds() {
+        return udsCmndPriorities.reduce((cnt, prio) => cnt + this.cmndsQueue[prio].length, 0);
+    }
+
+    /**
+     * Update queue depth per priority in statistics
+     */
+    updateQueueStat() {
+        for (const prio of udsCmndPriorities) {
+            this.stat.cntCmndsQueued[prio] = this.cmndsQueue[prio].length;
+        }
+    }
+
+    /**
+     * Take next command from queue. Highest priority goes first, but a priority waiting
+     * for udsCmndMaxSkipped commands gets its turn. Within a priority the sources are served in turn.
+     */
+    shiftCmnd() {
+        const prios = udsCmndPriorities.filter(prio => this.cmndsQueue[prio].length > 0);
+        if (prios.length == 0) {
+            return null;
+        }
+        const prio = prios.find(p => this.cmndsSkipped[p] >= udsCmndMaxSkipped) || prios[0];
+        for (const p of udsCmndPriorities) {
+            this.cmndsSkipped[p] = p == prio || !prios.includes(p) ? 0 : this.cmndsSkipped[p] + 1;
+        }
+        const lane = this.cmndsQueue[prio];
+        const served = source => this.cmndsServed[source] || 0;
+        let idx = 0;
+        for (let i = 1; i < lane.length; i++) {
+            if (served(lane[i].source) < served(lane[idx].source)) {
+                idx = i;
+            }
+        }
+        const cmnd = lane.splice(idx, 1)[0];
+        this.cmndsCntServed += 1;
+        this.cmndsServed[cmnd.source] = this.cmndsCntServed;
+        this.updateQueueStat();
+        return cmnd;
+    }
+
+    /**
+     * Put read commands back to front of queue. They are executed as single requests.
+     *
+     * @param {Array} dids  List of DIDs
+     * @param {string} prio  Priority
+     */
+    requeueReads(dids, prio) {
+        this.cmndsQueue[prio] = dids
+            .map(did => ({ mode: 'read', did: did, prio: prio, source: prio, single: true }))
+            .concat(this.cmndsQueue[prio]);
+        this.updateQueueStat();
+    }
+
     /**
      * Wait for a specified time
      *
@@ -437,6 +682,7 @@ class uds {
             channel: ctx.channelExt,
             timeout: this.config.timeout,
         });
+        udsWorker.writeOwner = this;
         await udsWorker.initStates(ctx, 'service77');
         await udsWorker.startup(ctx, 'service77');
         return udsWorker;
@@ -448,15 +694,20 @@ class uds {
      * @param {object} ctx  Caller context
      */
     async cmndsLoop(ctx) {
-        if (
-            (await this.getWorkerOpMode()) != 'standby' &&
-            this.cmndsQueue.length > 0 &&
-            (await this.getComState()) == 0
-        ) {
-            const cmnd = await this.cmndsQueue.shift();
+        if ((await this.getWorkerOpMode()) != 'standby' && this.cntCmnds() > 0 && (await this.getComState()) == 0) {
+            const cmnd = this.shiftCmnd();
+            this.data.prio = cmnd.prio;
             switch (cmnd.mode) {
                 case 'read': {
                     // ReadByDid
+                    const dids = cmnd.single ? [Number(cmnd.did)] : await this.getReadBatch(ctx, cmnd.did, cmnd.prio);
+                    if (dids.length > 1) {
+                        await this.readByDids(ctx, dids);
+                        await ctx.log.silly(
+                            `UDS worker on ${this.config.stateBase}: cmndLoop()->readByDids(): ${JSON.stringify(dids)}`,
+                        );
+                        break;
+                    }
                     await this.readByDid(ctx, cmnd.did);
                     await ctx.log.silly(
                         `UDS worker on ${this.config.stateBase}: cmndLoop()->readByDid(): ${String(cmnd.did)}`,
@@ -494,6 +745,445 @@ class uds {
         }
     }
 
+    /**
+     * Return true, if did may be requested together with other dids. Length of reply has to be known for sure.
+     *
+     * @param {object} ctx  Caller context
+     * @param {number} did  DID
+     */
+    isBatchable(ctx, did) {
+        const dids = this.storage.storageDids.dids;
+        return (
+            this.storage.storageDids.didsDevSpecAvail &&
+            did in dids &&
+            dids[did].len > 0 &&
+            !(ctx.udsDidsVarLength && ctx.udsDidsVarLength.includes(Number(did)))
+        );
+    }
+
+    /**
+     * Return list of dids to be read with one request: given did plus following read commands of same priority
+     *
+     * @param {object} ctx  Caller context
+     * @param {number} did  DID taken from queue
+     * @param {string} prio  Priority of command
+     */
+    async getReadBatch(ctx, did, prio) {
+        const batch = [Number(did)];
+        if (
+            this.readBatchSize <= 1 ||
+            !this.readBatchSupported ||
+            this.callback ||
+            (await this.getWorkerOpMode()) != 'normal' ||
+            !this.isBatchable(ctx, did)
+        ) {
+            return batch;
+        }
+        const dids = this.storage.storageDids.dids;
+        const lane = this.cmndsQueue[prio];
+        let lenReply = 3 + dids[did].len;
+        while (batch.length < this.readBatchSize && lane.length > 0) {
+            const cmnd = lane[0];
+            const didNext = Number(cmnd.did);
+            if (cmnd.mode != 'read' || cmnd.single || batch.includes(didNext) || !this.isBatchable(ctx, didNext)) {
+                break;
+            }
+            if (lenReply + 2 + dids[didNext].len > this.maxLenIsoTp) {
+                break;
+            }
+            lenReply += 2 + dids[didNext].len;
+            batch.push(didNext);
+            lane.shift();
+        }
+        this.updateQueueStat();
+        return batch;
+    }
+
+    /**
+     * Queue dids of recent request on multiple dids as single requests.
+     * Reading multiple dids per request is given up, if the device rejects it or it failed repeatedly.
+     *
+     * @param {object} ctx  Caller context
+     * @param {string} reason  Reason of failure
+     * @param {boolean} rejected  Device rejected request on multiple dids, e.g. by negative response
+     */
+    async onBatchFailed(ctx, reason, rejected) {
+        const dids = this.data.batch;
+        this.cntBatchFailed += 1;
+        if (rejected || this.cntBatchFailed >= this.maxBatchFailed) {
+            this.readBatchSupported = false;
+            ctx.log.info(
+                `UDS worker on ${this.config.stateBase}: ReadByDid on multiple dids failed (${reason}). Falling back to single requests.`,
+            );
+        } else {
+            ctx.log.debug(
+                `UDS worker on ${this.config.stateBase}: ReadByDid on multiple dids failed (${reason}). Reading dids by single requests.`,
+            );
+        }
+        this.requeueReads(dids, this.data.prio);
+        await this.setDidDone(ctx, 0);
+    }
+
+    /**
+     * Store data received on ReadByDid
+     *
+     * @param {object} ctx  Adapter context
+     * @param {Array} databytes  Data following the first did of reply
+     * @param {number} ts  Timestamp of reply frame completing the data
+     */
+    async storeReadResult(ctx, databytes, ts) {
+        if (this.data.batch.length <= 1) {
+            this.storage.decodeDataCAN(ctx, this, String(this.data.did), databytes, ts);
+            await this.verifyWrite(ctx, this.data.did, databytes);
+            return;
+        }
+        // Reply on multiple dids: data of first did followed by did and data for each further did
+        const dids = this.storage.storageDids.dids;
+        const results = [];
+        let did = this.data.did;
+        let pos = 0;
+        for (;;) {
+            const len = dids[did].len;
+            if (pos + len > databytes.length) {
+                this.stat.cntCommBadProtocol += 1;
+                await this.onBatchFailed(ctx, `reply too short for did ${String(did)}`, true);
+                return;
+            }
+            results.push({ did: did, data: databytes.slice(pos, pos + len) });
+            pos += len;
+            if (pos >= databytes.length) {
+                break;
+            }
+            did = databytes[pos] * 256 + databytes[pos + 1];
+            pos += 2;
+            if (!this.data.batch.includes(did) || results.some(res => res.did == did)) {
+                this.stat.cntCommBadProtocol += 1;
+                await this.onBatchFailed(ctx, `unexpected did ${String(did)} in reply`, true);
+                return;
+            }
+        }
+        this.cntBatchFailed = 0;
+        for (const res of results) {
+            this.storage.decodeDataCAN(ctx, this, String(res.did), res.data, ts);
+            await this.verifyWrite(ctx, res.did, res.data);
+        }
+        // Dids missing in reply are not available on device. Request them one by one to get the response code.
+        const missing = this.data.batch.filter(didReq => !results.some(res => res.did == didReq));
+        this.requeueReads(missing, this.data.prio);
+    }
+
+    /**
+     * Start user write: WriteByDid followed by read-back and comparison with value sent.
+     * Outcome gets stored in state cmnd.lastWriteResult.
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} did  DID
+     * @param {Array} valRaw  Raw data to be written (array of bytes)
+     * @param {object} [origin]  Originator of write for audit log, e.g. { from, user }
+     */
+    async writeByDidVerified(ctx, did, valRaw, origin = {}) {
+        if (this.dryRun) {
+            await this.publishDryRun(ctx, did, valRaw);
+            return;
+        }
+        this.writeTransactions[did] = {
+            did: Number(did),
+            valRaw: valRaw,
+            origin: origin,
+            valOld: null, // Raw value read before write (hex)
+            fallback77: false, // Service 77 was used after service 2E was refused
+            writeDone: false, // Write communication finished
+            tsReadBack: null, // Time of queuing read-back
+        };
+        await this.pushCmnd(ctx, 'read', [did], 'write'); // Value before write for audit log
+        await this.pushCmnd(ctx, 'write', [[did, valRaw]]);
+    }
+
+    /**
+     * Check value of user write against constraints given in list of writable dids.
+     * Returns false and restores value of data point, if value must not be written.
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} did  DID
+     * @param {any} val  Decoded value to be written
+     * @param {object} [origin]  Originator of write for audit log
+     */
+    async checkWriteConstraints(ctx, did, val, origin = {}) {
+        const storageDids = this.storage.storageDids;
+        if (Object.keys(storageDids.getWriteConstraints(did)).length == 0) {
+            return true;
+        }
+        let valCur = await this.storage.getDidVal(ctx, String(did));
+        if (valCur === null && Object.values(storageDids.getWriteConstraints(did)).some(cons => cons.readOnly)) {
+            // Actual value not known, e.g. only tree format is stored and did was not read since startup
+            valCur = await this.readDidVal(ctx, did);
+        }
+        const violations = storageDids.checkWriteConstraints(did, val, valCur);
+        if (violations.length == 0) {
+            return true;
+        }
+        await this.rejectWrite(ctx, did, violations, origin);
+        return false;
+    }
+
+    /**
+     * Read did from device and return decoded value. Null, if reading failed.
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} did  DID
+     */
+    async readDidVal(ctx, did) {
+        await this.pushCmnd(ctx, 'read', [did], 'write');
+        // Reading may have to wait for command in progress
+        const tsTimeout = new Date().getTime() + 2 * this.config.timeout;
+        while (!(String(did) in this.storage.didVals) && new Date().getTime() < tsTimeout) {
+            await this.sleep(ctx, 10);
+        }
+        return String(did) in this.storage.didVals ? this.storage.didVals[String(did)] : null;
+    }
+
+    /**
+     * Reject user write violating constraints or having invalid value and restore value of data point
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} did  DID
+     * @param {Array} violations  List of violated constraints
+     * @param {object} origin  Originator of write for audit log
+     */
+    async rejectWrite(ctx, did, violations, origin) {
+        ctx.log.error(
+            `User command UDS WriteByDid on ${this.config.stateBase}.${String(did)} rejected: ${violations.join('; ')}`,
+        );
+        const trans = { did: Number(did), valRaw: [], origin: origin, valOld: null, fallback77: false };
+        await this.storeWriteResult(ctx, trans, 'rejected', { violations: violations });
+        // Nothing was written. Restore actual value of data point.
+        await this.pushCmnd(ctx, 'read', [did], 'userRead');
+    }
+
+    /**
+     * Check raw data of user write against constraints given in list of writable dids
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} did  DID
+     * @param {Array} valRaw  Raw data to be written (array of bytes)
+     * @param {object} [origin]  Originator of write for audit log
+     */
+    async checkWriteConstraintsRaw(ctx, did, valRaw, origin = {}) {
+        const storageDids = this.storage.storageDids;
+        if (Object.keys(storageDids.getWriteConstraints(did)).length == 0) {
+            return true;
+        }
+        const cdi = storageDids.dids[did];
+        if (!cdi || cdi.len != valRaw.length) {
+            const violation = `raw data can't be decoded for checking (length ${valRaw.length})`;
+            await this.rejectWrite(ctx, did, [violation], origin);
+            return false;
+        }
+        const res = await storageDids.decodeDid(ctx, this.config.stateBase, String(did), cdi, valRaw);
+        return this.checkWriteConstraints(ctx, did, res.val, origin);
+    }
+
+    /**
+     * Publish CAN frames of user write in state cmnd.dryRunFrames instead of sending them.
+     * Frames of service 77 would be sent only if service 2E gets refused by the device.
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} did  DID
+     * @param {Array} valRaw  Raw data to be written (array of bytes)
+     */
+    async publishDryRun(ctx, did, valRaw) {
+        const res = {
+            did: Number(did),
+            service2E: {
+                canID: this.canIDhex,
+                frames: this.requestFramesWrite(did, valRaw, this.writeByDidProt),
+            },
+            service77: {
+                canID: `0x${(Number(this.config.canID) + this.SID77addrOffset).toString(16)}`,
+                frames: this.requestFramesWrite(did, valRaw, this.writeByDidSID77Prot),
+            },
+            ts: new Date().getTime(),
+        };
+        ctx.log.info(
+            `Dry run of WriteByDid on ${this.config.stateBase}.${String(did)}: ${JSON.stringify(res.service2E)}`,
+        );
+        await ctx.setStateAsync(this.dryRunFramesId, { val: JSON.stringify(res), ack: true });
+        // Nothing was written. Restore actual value of data point.
+        await this.pushCmnd(ctx, 'read', [did], 'userRead');
+    }
+
+    /**
+     * Handle end of write communication of user write and queue read-back
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} did  DID
+     * @param {string} result  ok, negativeResponse, timeout or badProtocol
+     * @param {number} [nrc]  Negative response code
+     */
+    async onWriteDone(ctx, did, result, nrc) {
+        const trans = this.writeTransactions[did];
+        if (!trans || trans.writeDone) {
+            return;
+        }
+        trans.writeDone = true;
+        if (result != 'ok') {
+            // Write failed. Read anyway to restore actual value of data point.
+            delete this.writeTransactions[did];
+            await this.storeWriteResult(ctx, trans, result, nrc === undefined ? {} : { nrc: nrc });
+        }
+        ctx.setTimeout(
+            function (ctxWorker, trans) {
+                trans.tsReadBack = new Date().getTime();
+                ctxWorker.pushCmnd(ctx, 'read', [trans.did], 'userRead');
+            },
+            this.writeReadBackDelay,
+            this,
+            trans,
+        );
+    }
+
+    /**
+     * Keep value read before user write and compare value read back with value written
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} did  DID
+     * @param {Array} databytes  Raw data read
+     */
+    async verifyWrite(ctx, did, databytes) {
+        const trans = this.writeTransactions[did];
+        if (trans && !trans.writeDone) {
+            trans.valOld = this.storage.storageDids.arr2Hex(databytes);
+            return;
+        }
+        if (!trans || !trans.tsReadBack || this.data.tsRequest < trans.tsReadBack) {
+            return;
+        }
+        delete this.writeTransactions[did];
+        const sent = this.storage.storageDids.arr2Hex(trans.valRaw);
+        const read = this.storage.storageDids.arr2Hex(databytes);
+        await this.storeWriteResult(ctx, trans, sent == read ? 'ok' : 'mismatch', { read: read });
+    }
+
+    /**
+     * Finalize user write on failed read-back
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} did  DID
+     */
+    async onReadBackFailed(ctx, did) {
+        const trans = this.writeTransactions[did];
+        if (!trans || !trans.tsReadBack || this.data.tsRequest < trans.tsReadBack) {
+            return;
+        }
+        delete this.writeTransactions[did];
+        await this.storeWriteResult(ctx, trans, 'readBackFailed', {});
+    }
+
+    /**
+     * Store outcome of user write in state cmnd.lastWriteResult
+     *
+     * @param {object} ctx  Adapter context
+     * @param {object} trans  Write transaction
+     * @param {string} result  ok, mismatch, negativeResponse, timeout, badProtocol, readBackFailed or rejected
+     * @param {object} details  Additional informations, e.g. { nrc }, { read } or { violations }
+     */
+    async storeWriteResult(ctx, trans, result, details) {
+        const res = {
+            did: trans.did,
+            result: result,
+            fallback77: trans.fallback77,
+            sent: this.storage.storageDids.arr2Hex(trans.valRaw),
+        };
+        if ('nrc' in details) {
+            res.nrc = `0x${Number(details.nrc).toString(16).padStart(2, '0')}`;
+            res.nrcName = udsNrcName(details.nrc);
+        }
+        if ('read' in details) {
+            res.read = details.read;
+        }
+        if ('violations' in details) {
+            res.violations = details.violations;
+        }
+        res.ts = new Date().getTime();
+        if (result == 'ok') {
+            ctx.log.debug(`User command UDS WriteByDid on ${this.config.stateBase}.${String(trans.did)} verified.`);
+        } else if (result != 'rejected') {
+            ctx.log.warn(
+                `User command UDS WriteByDid on ${this.config.stateBase}.${String(trans.did)} failed: ${JSON.stringify(
+                    res,
+                )}`,
+            );
+        }
+        await ctx.setStateAsync(this.lastWriteResultId, { val: JSON.stringify(res), ack: true });
+        await this.appendWriteAuditLog(ctx, {
+            ts: res.ts,
+            ...trans.origin,
+            did: trans.did,
+            old: trans.valOld,
+            new: res.sent,
+            result: result,
+        });
+    }
+
+    /**
+     * Return entries of audit log of user writes
+     *
+     * @param {object} ctx  Adapter context
+     */
+    async getWriteAuditLog(ctx) {
+        if (this.writeAuditLog === null) {
+            const entries = await this.storage.storageDids.getObjectVal(ctx, this.writeAuditLogId);
+            this.writeAuditLog = Array.isArray(entries) ? entries : [];
+        }
+        return this.writeAuditLog;
+    }
+
+    /**
+     * Add entry to audit log of user writes. Oldest entries get dropped.
+     *
+     * @param {object} ctx  Adapter context
+     * @param {object} entry  Entry of audit log
+     */
+    async appendWriteAuditLog(ctx, entry) {
+        const entries = await this.getWriteAuditLog(ctx);
+        entries.push(entry);
+        entries.splice(0, entries.length - this.writeAuditLogSize);
+        ctx.log.info(`Audit of WriteByDid on ${this.config.stateBase}: ${JSON.stringify(entry)}`);
+        await ctx.setStateAsync(this.writeAuditLogId, { val: JSON.stringify(entries), ack: true });
+    }
+
+    /**
+     * Restore raw value of did from before last user write which reached the device
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} did  DID
+     * @param {object} origin  Originator of undo for audit log
+     */
+    async undoLastWrite(ctx, did, origin) {
+        const entries = await this.getWriteAuditLog(ctx);
+        const entry = entries
+            .slice()
+            .reverse()
+            .find(itm => itm.did == did && ['ok', 'mismatch'].includes(itm.result));
+        if (!entry || !entry.old) {
+            ctx.log.error(
+                `Undo of last write on ${this.config.stateBase}.${String(did)} failed: No previous value available.`,
+            );
+            return;
+        }
+        if (!(did in this.storage.storageDids.didsWritable)) {
+            ctx.log.error(
+                `Undo of last write on ${this.config.stateBase}.${String(did)} failed: Writing not allowed on this did.`,
+            );
+            return;
+        }
+        ctx.log.info(`Undo of last write on ${this.config.stateBase}.${String(did)}: Restoring ${entry.old}`);
+        await this.writeByDidVerified(ctx, did, this.storage.storageDids.toByteArray(entry.old), {
+            ...origin,
+            undo: true,
+        });
+    }
+
     /**
      * Create or increase error counter for did
      *
@@ -516,6 +1206,11 @@ class uds {
      * @param {object} ctxLocal  Worker context
      */
     async onTimeout(ctxGlobal, ctxLocal) {
+        if (ctxLocal.data.batch.length > 1) {
+            ctxLocal.stat.cntCommTimeout += 1;
+            await ctxLocal.onBatchFailed(ctxGlobal, 'timeout', false);
+            return;
+        }
         const opMode = await ctxLocal.getWorkerOpMode();
         if (['standby', 'normal', 'service77'].includes(opMode)) {
             await ctxGlobal.log.error(`UDS timeout on ${ctxLocal.canIDhex}.${String(ctxLocal.data.did)}`);
@@ -527,6 +1222,11 @@ class uds {
         }
         ctxLocal.stat.cntCommTimeout += 1;
         ctxLocal.statCommFailed(ctxLocal, ctxLocal.data.did);
+        if ([3, 4].includes(await ctxLocal.getComState())) {
+            await ctxLocal.writeOwner.onWriteDone(ctxGlobal, ctxLocal.data.did, 'timeout');
+        } else {
+            await ctxLocal.onReadBackFailed(ctxGlobal, ctxLocal.data.did);
+        }
         if (ctxLocal.callback) {
             await ctxLocal.callback(ctxGlobal, ctxLocal, [
                 'timeout',
@@ -565,6 +1265,26 @@ class uds {
                 `User requested change of UDS device specific datapoint definition on ${this.config.stateBase}`,
             );
             await this.storage.storageDids.readKnownDids(ctx, await this.getWorkerOpMode());
+            this.storage.storageDids.checkDids(
+                ctx,
+                this.storage.storageDids.didsDictDevSpec,
+                this.storage.storageDids.didsSpecId,
+            ); // Report broken definitions of datapoints
+            await ctx.setStateAsync(id, { val: state.val, ack: true }); // Acknowlegde user command
+            return;
+        }
+
+        // Change of UDS user defined datapoint definition
+        // ===============================================
+        if (id.includes(this.storage.storageDids.didsOverridesId)) {
+            // User requests change of datapoint definitions overriding all other definitions
+            await ctx.log.info(`User requested change of UDS datapoint overrides on ${this.config.stateBase}`);
+            await this.storage.storageDids.readKnownDids(ctx, await this.getWorkerOpMode());
+            this.storage.storageDids.checkDids(
+                ctx,
+                this.storage.storageDids.didsDictOverrides,
+                this.storage.storageDids.didsOverridesId,
+            ); // Report broken definitions of datapoints
             await ctx.setStateAsync(id, { val: state.val, ack: true }); // Acknowlegde user command
             return;
         }
@@ -578,7 +1298,7 @@ class uds {
                 await ctx.log.debug(
                     `User command UDS ReadByDid on ${this.config.stateBase}. Dids=${JSON.stringify(dids)}`,
                 );
-                await this.pushCmnd(ctx, 'read', dids);
+                await this.pushCmnd(ctx, 'read', dids, 'userRead');
                 await ctx.setStateAsync(id, { val: JSON.stringify(dids), ack: true }); // Acknowlegde user command
             } catch (e) {
                 ctx.log.error(
@@ -590,6 +1310,14 @@ class uds {
             return;
         }
 
+        // User command undo last write
+        // ============================
+        if (id.includes(this.undoLastWriteId)) {
+            await this.undoLastWrite(ctx, Number(state.val), { from: state.from, user: state.user });
+            await ctx.setStateAsync(id, { val: state.val, ack: true }); // Acknowlegde user command
+            return;
+        }
+
         // User command WriteByDid
         // =======================
         const dcs = await ctx.idToDCS(id); // Get device, channel and state id
@@ -616,28 +1344,29 @@ class uds {
         await ctx.log.debug(`User command UDS WriteByDid on ${this.config.stateBase}.${String(did)}`);
         //await ctx.log.debug(JSON.stringify(dcs)+' did='+String(did)+' id='+id+' state='+JSON.stringify(state));
         let byteArr = null; // Encoded data
+        const origin = { from: state.from, user: state.user }; // Originator of write for audit log
         let lenBaseId; // Index of start of did state id (did_name ...) in full state id (e3oncan ...)
         switch (dcs.channel) {
             case 'json':
                 // Change in json data
                 try {
-                    byteArr = await this.storage.encodeDataCAN(ctx, this, String(did), await JSON.parse(state.val));
+                    const val = await JSON.parse(state.val);
+                    if (!(await this.checkWriteConstraints(ctx, did, val, origin))) {
+                        break;
+                    }
+                    byteArr = await this.storage.encodeDataCAN(ctx, this, String(did), val);
                     if (byteArr) {
-                        await this.pushCmnd(ctx, 'write', [[did, byteArr]]);
-                        ctx.setTimeout(
-                            function (ctxWorker, did) {
-                                ctxWorker.cmndsQueue.push({ mode: 'read', did: did });
-                            },
-                            2500,
-                            this,
-                            did,
-                        ); // Read value after 2500 ms
+                        await this.writeByDidVerified(ctx, did, byteArr, origin);
                     } else {
                         ctx.log.error(
                             `User command UDS WriteByDid on ${this.config.stateBase}: Encoding of data failed.`,
                         );
                     }
                 } catch (e) {
+                    if (e instanceof E3.O3EEncodeError) {
+                        await this.rejectWrite(ctx, did, [e.message], origin);
+                        break;
+                    }
                     ctx.log.error(
                         `WriteByDid(): Encoding of data failed on ${this.config.stateBase}.${String(
                             did,
@@ -649,16 +1378,11 @@ class uds {
                 // Change in raw data
                 try {
                     byteArr = this.storage.storageDids.toByteArray(await JSON.parse(state.val));
+                    if (byteArr && !(await this.checkWriteConstraintsRaw(ctx, did, byteArr, origin))) {
+                        break;
+                    }
                     if (byteArr) {
-                        await this.pushCmnd(ctx, 'write', [[did, byteArr]]);
-                        ctx.setTimeout(
-                            function (ctxWorker, did) {
-                                ctxWorker.cmndsQueue.push({ mode: 'read', did: did });
-                            },
-                            2500,
-                            this,
-                            did,
-                        ); // Read value after 2500 ms
+                        await this.writeByDidVerified(ctx, did, byteArr, origin);
                     } else {
                         ctx.log.error(
                             `User command UDS WriteByDid on ${this.config.stateBase}: Encoding of data failed.`,
@@ -679,23 +1403,23 @@ class uds {
                 if (id.length == lenBaseId) {
                     // Scalar value w/o sub structure
                     try {
-                        byteArr = await this.storage.encodeDataCAN(ctx, this, String(did), await JSON.parse(state.val));
+                        const val = await JSON.parse(state.val);
+                        if (!(await this.checkWriteConstraints(ctx, did, val, origin))) {
+                            break;
+                        }
+                        byteArr = await this.storage.encodeDataCAN(ctx, this, String(did), val);
                         if (byteArr) {
-                            await this.pushCmnd(ctx, 'write', [[did, byteArr]]);
-                            ctx.setTimeout(
-                                function (ctxWorker, did) {
-                                    ctxWorker.cmndsQueue.push({ mode: 'read', did: did });
-                                },
-                                2500,
-                                this,
-                                did,
-                            ); // Read value after 2500 ms
+                            await this.writeByDidVerified(ctx, did, byteArr, origin);
                         } else {
                             ctx.log.error(
                                 `User command UDS WriteByDid on ${this.config.stateBase}: Encoding of data failed.`,
                             );
                         }
                     } catch (e) {
+                        if (e instanceof E3.O3EEncodeError) {
+                            await this.rejectWrite(ctx, did, [e.message], origin);
+                            break;
+                        }
                         ctx.log.error(
                             `WriteByDid(): Encoding of data failed on ${this.config.stateBase}.${String(
                                 did,
@@ -740,17 +1464,12 @@ class uds {
                         }
                     }
                     try {
+                        if (!(await ctxWorker.checkWriteConstraints(ctx, did, treeDict, origin))) {
+                            return;
+                        }
                         byteArr = await ctxWorker.storage.encodeDataCAN(ctx, ctxWorker, did, treeDict);
                         if (byteArr) {
-                            await ctxWorker.pushCmnd(ctx, 'write', [[did, byteArr]]);
-                            ctx.setTimeout(
-                                function (ctxWorker, did) {
-                                    ctxWorker.cmndsQueue.push({ mode: 'read', did: did });
-                                },
-                                2500,
-                                ctxWorker,
-                                did,
-                            ); // Read value after 2500 ms
+                            await ctxWorker.writeByDidVerified(ctx, did, byteArr, origin);
                         } else {
                             ctx.log.error(
                                 `User command UDS WriteByDid on ${
@@ -759,6 +1478,10 @@ class uds {
                             );
                         }
                     } catch (e) {
+                        if (e instanceof E3.O3EEncodeError) {
+                            await ctxWorker.rejectWrite(ctx, did, [e.message], origin);
+                            return;
+                        }
                         ctx.log.error(
                             `WriteByDid(): Encoding of data failed on ${ctxWorker.config.stateBase}.${String(
                                 did,
@@ -820,6 +1543,37 @@ class uds {
         return frame;
     }
 
+    /**
+     * Return data following did in request of service 77
+     *
+     * @param {number} did  DID
+     * @param {Array} valRaw  Raw data of DID (array of bytes)
+     */
+    requestDataSID77(did, valRaw) {
+        const len_code = 0xb0 + valRaw.length; // encode length: 0xb0 + data length
+        return [0x43, 0x01, 0x82, did & 0xff, (did >> 8) & 0xff, len_code].concat(valRaw);
+    }
+
+    /**
+     * Return all CAN frames of write request as hex strings, assuming flow control without block size limit
+     *
+     * @param {number} did  DID
+     * @param {Array} valRaw  Raw data of DID (array of bytes)
+     * @param {object} prot  Protocol bytes
+     */
+    requestFramesWrite(did, valRaw, prot) {
+        const sid77 = prot.SIDtx == this.writeByDidSID77Prot.SIDtx;
+        const data = sid77 ? this.requestDataSID77(did, valRaw) : valRaw;
+        const databytes = data.concat(Array(7).fill(sid77 ? 0x55 : 0x00)); // Add padding
+        const frames = [this.initialRequestWrite(did, databytes, data.length, prot)];
+        let D0 = 0x21;
+        for (let txPos = 3; data.length > 4 && txPos < data.length; txPos += 7) {
+            frames.push([D0].concat(databytes.slice(txPos, txPos + 7)));
+            D0 = D0 == 0x2f ? 0x20 : D0 + 1;
+        }
+        return frames.map(frame => this.storage.storageDids.arr2Hex(frame));
+    }
+
     /**
      * Return CAN frame
      *
@@ -837,7 +1591,17 @@ class uds {
      * @param {object} frame  CAN frame
      */
     async sendFrame(ctx, frame) {
-        await this.config.channel.send(this.canMessage(this.config.canID, frame));
+        try {
+            await this.config.channel.send(this.canMessage(this.config.canID, frame));
+        } catch (e) {
+            // E.g. connection to CAN gateway lost. Fail current command instead of waiting for timeout.
+            ctx.log.warn(`UDS worker on ${this.config.stateBase}: Sending of CAN frame failed. err=${e.message}`);
+            if (this.timeoutHandle) {
+                await ctx.clearTimeout(this.timeoutHandle);
+                this.timeoutHandle = null;
+                await this.onTimeout(ctx, this);
+            }
+        }
     }
 
     /**
@@ -873,6 +1637,41 @@ class uds {
         );
     }
 
+    /**
+     * Read multiple DIDs from device with one request
+     *
+     * @param {object} ctx  Adapter context
+     * @param {Array} dids  Requested DIDs
+     */
+    async readByDids(ctx, dids) {
+        const request = [this.readByDidProt.SIDtx];
+        for (const did of dids) {
+            request.push((did >> 8) & 0xff, did & 0xff);
+        }
+        this.stat.cntCommTotal += 1;
+        if (request.length <= 7) {
+            // Single frame request
+            await this.setDidStart(ctx, dids[0], 'read', 0);
+            this.data.batch = dids;
+            await this.sendFrame(
+                ctx,
+                [request.length].concat(request, [0x00, 0x00, 0x00, 0x00, 0x00, 0x00]).slice(0, 8),
+            );
+        } else {
+            // Multi frame request. Consecutive frames are sent after flow control frame is received.
+            await this.setDidStart(ctx, dids[0], 'readBatch', 0);
+            this.data.batch = dids;
+            this.data.len = request.length - 3;
+            this.data.databytes = request.slice(3).concat(0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00); // Add padding
+            this.data.txPos = 3;
+            this.data.D0 = 0x21;
+            await this.sendFrame(
+                ctx,
+                [0x10 | (request.length >> 8), request.length & 0xff].concat(request.slice(0, 6)),
+            );
+        }
+    }
+
     /**
      * Write DID to device using standard service 2E
      *
@@ -927,12 +1726,10 @@ class uds {
         const did = didArr[0];
         const valRaw = didArr[1];
         const len = valRaw.length + 6;
-        const len_code = 0xb0 + valRaw.length; // encode length: 0xb0 + data length
-        const prefix77 = [0x43, 0x01, 0x82, did & 0xff, (did >> 8) & 0xff, len_code];
         this.stat.cntCommTotal += 1;
         this.data.len = len;
         this.data.valRaw = valRaw;
-        this.data.databytes = prefix77.concat(valRaw.concat(0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55)); // Add padding
+        this.data.databytes = this.requestDataSID77(did, valRaw).concat(0x55, 0x55, 0x55, 0x55, 0x55, 0x55, 0x55); // Add padding
         this.data.did = did;
         this.data.txPos = 3;
         this.data.D0 = 0x21;
@@ -949,6 +1746,102 @@ class uds {
         );
     }
 
+    /**
+     * Count negative response per response code
+     *
+     * @param {number} nrc  Negative response code
+     */
+    statNegativeResponse(nrc) {
+        const name = udsNrcName(nrc);
+        this.stat.cntCommNRperCode[name] = (this.stat.cntCommNRperCode[name] || 0) + 1;
+    }
+
+    /**
+     * Restart timeout of recent communication, e.g. on response pending
+     *
+     * @param {object} ctx  Adapter context
+     */
+    async extendTimeout(ctx) {
+        if (this.timeoutHandle) {
+            await ctx.clearTimeout(this.timeoutHandle);
+        }
+        this.timeoutHandle = await ctx.setTimeout(this.onTimeout, this.config.timeout, ctx, this);
+    }
+
+    /**
+     * Handle negative response on WriteByDid
+     *
+     * @param {object} ctx  Adapter context
+     * @param {number} nrc  Negative response code
+     */
+    async onNegativeResponseWrite(ctx, nrc) {
+        this.statNegativeResponse(nrc);
+        if (nrc == udsNrcResponsePending) {
+            // Device needs more time. Keep waiting for the confirmation.
+            await this.extendTimeout(ctx);
+            return;
+        }
+        this.stat.cntCommNR += 1;
+        ctx.log.error(
+            `UDS worker error on ${this.config.stateBase}: Negative response writing did ${String(
+                this.data.did,
+            )}. Code=0x${Number(nrc).toString(16)} (${udsNrcName(nrc)})`,
+        );
+        if ((await this.getWorkerOpMode()) == 'normal' && udsNrcRetrySID77.includes(nrc)) {
+            // Service 2E was refused for this did. Give it one more try using service 77
+            ctx.log.info(`Going to try again using SID 0x77 to write data point on ${this.config.stateBase}`);
+            if (this.writeTransactions[this.data.did]) {
+                this.writeTransactions[this.data.did].fallback77 = true;
+            }
+            this.pushCmnd(ctx, 'write77', [[this.data.did, this.data.valRaw]]);
+        } else {
+            if ((await this.getWorkerOpMode()) == 'normal') {
+                ctx.log.info(
+                    `No retry using SID 0x77 on ${this.config.stateBase}.${String(this.data.did)} due to ${udsNrcName(
+                        nrc,
+                    )}`,
+                );
+            }
+            await this.writeOwner.onWriteDone(ctx, this.data.did, 'negativeResponse', nrc);
+        }
+        await this.setDidDone(ctx, 100);
+    }
+
+    /**
+     * Send data in consecutive frames after flow control frame was received. Returns true, if all data was sent.
+     *
+     * @param {object} ctx  Adapter context
+     * @param {Array} candata  Data of flow control frame
+     */
+    async sendConsecutiveFrames(ctx, candata) {
+        // Send data in slices of 7 bytes
+        let ST = candata[2]; // Separation Time (ms)
+        if (ST < 20 || ST > 127) {
+            ST = 50;
+        } // Accept ST 20 .. 127 ms. Default to 50 ms.
+        this.data.cntFCrx = candata[1] - 1; // Initialize counter till next FCf (-1 => infinite)
+        while (this.data.txPos < this.data.len) {
+            // More data to send
+            await this.sleep(ctx, ST);
+            const frame = [this.data.D0].concat(this.data.databytes.slice(this.data.txPos, this.data.txPos + 7));
+            await this.sendFrame(ctx, frame);
+            this.data.txPos += 7;
+            this.data.D0 += 1;
+            if (this.data.D0 > 0x2f) {
+                this.data.D0 = 0x20;
+            }
+            if (this.data.cntFCrx == 0) {
+                // FCf expected as next frame => interrupt sending of data frames and wait for FCf
+                // Has no effect, if all data was already sent
+                break;
+            } else {
+                // continue sending data frames
+                this.data.cntFCrx -= 1;
+            }
+        }
+        return this.data.txPos >= this.data.len;
+    }
+
     /**
      * Evaluate received CAN message and perform UDS communication
      *
@@ -1028,18 +1921,34 @@ class uds {
                     candata[2] == this.readByDidProt.SIDtx
                 ) {
                     // Negative response
+                    const nrc = candata[3];
+                    this.statNegativeResponse(nrc);
+                    if (nrc == udsNrcResponsePending) {
+                        // Device needs more time. Keep waiting for the response.
+                        await this.extendTimeout(ctx);
+                        break;
+                    }
+                    if (this.data.batch.length > 1) {
+                        await this.onBatchFailed(
+                            ctx,
+                            `negative response ${udsNrcName(nrc)}`,
+                            udsNrcBatchRejected.includes(nrc),
+                        );
+                        break;
+                    }
                     this.stat.cntCommNR += 1;
                     if (this.callback) {
                         this.callback(ctx, this, [
                             'negative response',
-                            { did: this.data.did, didInfo: { id: '', len: 0 }, val: '' },
+                            { did: this.data.did, didInfo: { id: '', len: 0 }, val: '', nrc: nrc },
                         ]);
                     } else {
                         ctx.log.error(
                             `UDS worker error on ${this.config.stateBase}: Negative response reading did ${String(
                                 this.data.did,
-                            )}. Code=0x${Number(candata[3]).toString(16)}`,
+                            )}. Code=0x${Number(nrc).toString(16)} (${udsNrcName(nrc)})`,
                         );
+                        await this.onReadBackFailed(ctx, this.data.did);
                     }
                     await this.setDidDone(ctx, 0);
                     break;
@@ -1047,7 +1956,7 @@ class uds {
                 if (candata.length == 8 && candata[0] >> 4 == 0 && candata[1] == this.readByDidProt.SIDrx) {
                     // Single-frame communication
                     const didRx = candata[3] + 256 * candata[2];
-                    if (didRx == this.data.did) {
+                    if (didRx == this.data.did || this.data.batch.includes(didRx)) {
                         // Did does match
                         this.stat.cntCommOk += 1;
                         ctx.log.silly(
@@ -1056,13 +1965,13 @@ class uds {
                             }: SF received. candata: ${this.storage.storageDids.arr2Hex(candata)}`,
                         );
                         await this.calcStat();
+                        this.data.did = didRx;
                         this.data.len = candata[0] - 3;
                         this.data.databytes = candata.slice(4, 4 + this.data.len);
-                        this.storage.decodeDataCAN(
+                        await this.storeReadResult(
                             ctx,
-                            this,
-                            String(this.data.did),
                             this.data.databytes.slice(0, this.data.len),
+                            canCapture.frameTimestamp(msg),
                         );
                         await this.setDidDone(ctx, 0);
                         break;
@@ -1089,8 +1998,9 @@ class uds {
                 if (candata.length == 8 && candata[0] >> 4 == 1 && candata[2] == this.readByDidProt.SIDrx) {
                     // Multiframe communication
                     const didRx = candata[4] + 256 * candata[3];
-                    if (didRx == this.data.did) {
+                    if (didRx == this.data.did || this.data.batch.includes(didRx)) {
                         // Did does match
+                        this.data.did = didRx;
                         this.data.len = (candata[0] & 0x0f) * 256 + candata[1] - 3;
                         ctx.log.silly(
                             `UDS worker on ${
@@ -1123,6 +2033,11 @@ class uds {
                         break;
                     }
                 }
+                if (this.data.batch.length > 1) {
+                    this.stat.cntCommBadProtocol += 1;
+                    await this.onBatchFailed(ctx, 'bad frame', false);
+                    break;
+                }
                 if (this.callback) {
                     this.callback(ctx, this, [
                         'bad MF frame',
@@ -1159,11 +2074,10 @@ class uds {
                                 this.config.stateBase
                             }: MF completed. candata: ${this.storage.storageDids.arr2Hex(candata)}`,
                         );
-                        this.storage.decodeDataCAN(
+                        await this.storeReadResult(
                             ctx,
-                            this,
-                            String(this.data.did),
                             this.data.databytes.slice(0, this.data.len),
+                            canCapture.frameTimestamp(msg),
                         );
                         await this.setDidDone(ctx, 0);
                     } else {
@@ -1175,6 +2089,11 @@ class uds {
                     }
                 } else {
                     // Bad CF
+                    if (this.data.batch.length > 1) {
+                        this.stat.cntCommBadProtocol += 1;
+                        await this.onBatchFailed(ctx, 'bad frame', false);
+                        break;
+                    }
                     if (this.callback) {
                         this.callback(ctx, this, [
                             'bad CF frame',
@@ -1196,20 +2115,7 @@ class uds {
             case 3: // waitForFFSFwbd (wait for confirmation)
                 if (candata[0] == this.writeProt.SIDcf && candata[1] == 0x7f && candata[2] == this.writeProt.SIDtx) {
                     // Negative response
-                    this.stat.cntCommNR += 1;
-                    ctx.log.error(
-                        `UDS worker error on ${this.config.stateBase}: Negative response writing did ${String(
-                            this.data.did,
-                        )}. Code=0x${Number(candata[3]).toString(16)}`,
-                    );
-                    if ((await this.getWorkerOpMode()) == 'normal') {
-                        // Give it one more try using service 77
-                        ctx.log.info(
-                            `Going to try again using SID 0x77 to write data point on ${this.config.stateBase}`,
-                        );
-                        this.pushCmnd(ctx, 'write77', [[this.data.did, this.data.valRaw]]);
-                    }
-                    await this.setDidDone(ctx, 100);
+                    await this.onNegativeResponseWrite(ctx, candata[3]);
                     break;
                 }
                 if (candata.length == 8 && candata[0] == this.writeProt.SIDcf && candata[1] == this.writeProt.SIDrx) {
@@ -1224,6 +2130,7 @@ class uds {
                         this.stat.cntCommOk += 1;
                         ctx.log.silly(`UDS worker on ${this.config.stateBase}: writeByDid SF confirmation received.`);
                         await this.calcStat();
+                        await this.writeOwner.onWriteDone(ctx, this.data.did, 'ok');
                         this.storage.storeStatistics(ctx, this, (await this.getWorkerOpMode()) == 'service77');
                         await this.setDidDone(ctx, 0);
                         break;
@@ -1238,6 +2145,7 @@ class uds {
                         );
                         await this.calcStat();
                         this.storage.storeStatistics(ctx, this, true);
+                        await this.writeOwner.onWriteDone(ctx, this.data.did, 'badProtocol');
                         await this.setDidDone(ctx, 1000);
                         break;
                     }
@@ -1252,6 +2160,7 @@ class uds {
                     this.stat.cntCommBadProtocol += 1;
                     this.statCommFailed(this, this.data.did);
                     await this.calcStat();
+                    await this.writeOwner.onWriteDone(ctx, this.data.did, 'badProtocol');
                     await this.setDidDone(ctx, 2500);
                 }
                 break;
@@ -1259,52 +2168,12 @@ class uds {
             case 4: // waitForFFMFwbd
                 if (candata[0] == this.writeProt.SIDcf && candata[1] == 0x7f && candata[2] == this.writeProt.SIDtx) {
                     // Negative response
-                    this.stat.cntCommNR += 1;
-                    ctx.log.error(
-                        `UDS worker error on ${this.config.stateBase}: Negative response writing did ${String(
-                            this.data.did,
-                        )}. Code=0x${Number(candata[3]).toString(16)}`,
-                    );
-                    if ((await this.getWorkerOpMode()) == 'normal') {
-                        // Give it one more try using service 77
-                        ctx.log.info(
-                            `Going to try again using SID 0x77 to write data point on ${this.config.stateBase}`,
-                        );
-                        this.pushCmnd(ctx, 'write77', [[this.data.did, this.data.valRaw]]);
-                    }
-                    await this.setDidDone(ctx, 100);
+                    await this.onNegativeResponseWrite(ctx, candata[3]);
                     break;
                 }
                 if (candata.length == 8 && candata[0] == this.writeProt.FCrx) {
                     // Multi-frame communication confirmed
-                    // Send data in slices of 7 bytes
-                    let ST = candata[2]; // Separation Time (ms)
-                    if (ST < 20 || ST > 127) {
-                        ST = 50;
-                    } // Accept ST 20 .. 127 ms. Default to 50 ms.
-                    this.data.cntFCrx = candata[1] - 1; // Initialize counter till next FCf (-1 => infinite)
-                    while (this.data.txPos < this.data.len) {
-                        // More data to send
-                        await this.sleep(ctx, ST);
-                        const frame = [this.data.D0].concat(
-                            this.data.databytes.slice(this.data.txPos, this.data.txPos + 7),
-                        );
-                        await this.sendFrame(ctx, frame);
-                        this.data.txPos += 7;
-                        this.data.D0 += 1;
-                        if (this.data.D0 > 0x2f) {
-                            this.data.D0 = 0x20;
-                        }
-                        if (this.data.cntFCrx == 0) {
-                            // FCf expected as next frame => interrupt sending of data frames and wait for FCf
-                            // Has no effect, if all data was already sent
-                            break;
-                        } else {
-                            // continue sending data frames
-                            this.data.cntFCrx -= 1;
-                        }
-                    }
-                    if (this.data.txPos >= this.data.len) {
+                    if (await this.sendConsecutiveFrames(ctx, candata)) {
                         // All data was sent
                         await this.setComState(3); // waitForFFSFwbd (wait for confirmation)
                     }
@@ -1320,10 +2189,42 @@ class uds {
                     this.stat.cntCommBadProtocol += 1;
                     this.statCommFailed(this, this.data.did);
                     await this.calcStat();
+                    await this.writeOwner.onWriteDone(ctx, this.data.did, 'badProtocol');
                     await this.setDidDone(ctx, 2500);
                 }
                 break;
 
+            case 5: // waitForFCrbd (ReadByDid on multiple dids)
+                if (
+                    candata[0] == this.readByDidProt.SIDcf &&
+                    candata[1] == 0x7f &&
+                    candata[2] == this.readByDidProt.SIDtx
+                ) {
+                    // Negative response
+                    const nrc = candata[3];
+                    this.statNegativeResponse(nrc);
+                    if (nrc == udsNrcResponsePending) {
+                        await this.extendTimeout(ctx);
+                        break;
+                    }
+                    await this.onBatchFailed(
+                        ctx,
+                        `negative response ${udsNrcName(nrc)}`,
+                        udsNrcBatchRejected.includes(nrc),
+                    );
+                    break;
+                }
+                if (candata.length == 8 && candata[0] == 0x30) {
+                    // Flow control frame. Send rest of request.
+                    if (await this.sendConsecutiveFrames(ctx, candata)) {
+                        await this.setComState(1); // 'waitForFFrbd'
+                    }
+                    break;
+                }
+                this.stat.cntCommBadProtocol += 1;
+                await this.onBatchFailed(ctx, 'bad flow control frame', false);
+                break;
+
             default:
                 this.stat.cntCommBadProtocol += 1;
                 this.statCommFailed(this, this.data.did);
@@ -1345,4 +2246,5 @@ class uds {
 
 module.exports = {
     uds,
+    udsNrcName,
 };
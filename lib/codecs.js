@@ -12,6 +12,7 @@ const C2POW52n = BigInt(0x10000000000000);
 const C2POW56n = BigInt(0x100000000000000);
 const C2POW63n = BigInt(0x08000000000000000);
 const C2POW64n = BigInt(0x10000000000000000);
+const FLOAT32_MAX = 3.4028234663852886e38; // Largest finite float32 value
 
 /**
  * Convert byte array to hex string
@@ -181,16 +182,50 @@ function int2val(j, signed = false) {
     }
 }
 
+/**
+ *  Error on encoding of invalid or out of range value
+ */
+class O3EEncodeError extends RangeError {
+    /**
+     * @param {string} message  Description of error
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'O3EEncodeError';
+    }
+}
+
+/**
+ * Parse numeric value given as number or as string. Expressions are not evaluated.
+ *
+ * @param {any} v  Value
+ */
+function parseNumber(v) {
+    const num = typeof v == 'string' && /^\s*[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?\s*$/i.test(v) ? Number(v) : v;
+    if (typeof num != 'number' || !isFinite(num)) {
+        throw new O3EEncodeError(`Invalid numeric value: ${JSON.stringify(v)}`);
+    }
+    return num;
+}
+
 /**
  * Convert int08, int16, int32 to byte array. Signed or unsigned.
  *
- * @param {string} v  Value
+ * @param {any} v  Value
  * @param {number} byte_width  Byte length of value
  * @param {number} scale  Scaling factor
  * @param {boolean} signed  Signed value yes/no
+ * @param {number} offset  Offset of value
  */
-function val2byteArr(v, byte_width, scale = 1, signed = false) {
-    let val = Math.round(eval(v) * scale);
+function val2byteArr(v, byte_width, scale = 1, signed = false, offset = 0) {
+    let val = Math.round((parseNumber(v) - offset) * scale);
+    const min = signed ? -(2 ** (8 * byte_width - 1)) : 0;
+    const max = 2 ** (8 * byte_width - (signed ? 1 : 0)) - 1;
+    if (val < min || val > max) {
+        throw new O3EEncodeError(
+            `Value ${String(v)} out of range. Encoded value ${String(val)} exceeds ${String(min)}..${String(max)}.`,
+        );
+    }
     if (signed && val < 0) {
         val += 2 ** (8 * byte_width);
     }
@@ -198,12 +233,12 @@ function val2byteArr(v, byte_width, scale = 1, signed = false) {
     return string_bin.reverse();
 }
 
-function val2byteArr64(v, byte_width, scale = 1, signed = false) {
+function val2byteArr64(v, byte_width, scale = 1, signed = false, offset = 0) {
     // Convert int64 to byte array. Signed or unsigned.
     // Due to internal limitations of Javascript this only works correctly for values < 2^52 (4.503.599.627.370.496)
-    let val = BigInt(Math.round(v * scale));
-    if (val >= C2POW52n || val <= -C2POW52n) {
-        throw new Error(
+    let val = BigInt(Math.round((parseNumber(v) - offset) * scale));
+    if (val >= C2POW52n || val <= -C2POW52n || (!signed && val < 0)) {
+        throw new O3EEncodeError(
             'O3EInt64.encode(): Value out of range. For encoding only values in range -2**52 < value < 2**52 (4.503.599.627.370.496) are allowed!',
         );
     }
@@ -274,23 +309,24 @@ class O3EInt {
         this.id = idStr;
         this.byte_width = byte_width;
         this.scale = _args.scale;
+        this.offset = _args.offset || 0;
         this.signed = _args.signed;
     }
     /**
-     * @param {string} data  Raw data
+     * @param {number|string} data  Value to be encoded
      */
     encode(data) {
         if (this.byte_width == 8) {
-            return val2byteArr64(data, this.byte_width, this.scale, this.signed);
+            return val2byteArr64(data, this.byte_width, this.scale, this.signed, this.offset);
         }
-        return val2byteArr(data, this.byte_width, this.scale, this.signed);
+        return val2byteArr(data, this.byte_width, this.scale, this.signed, this.offset);
     }
 
     /**
      * @param {Array} data  Array of bytes
      */
     decode(data) {
-        return int2val(data.slice(0, this.byte_width), this.signed) / this.scale;
+        return (int2val(data.slice(0, this.byte_width), this.signed) + this.offset * this.scale) / this.scale;
     }
 
     /**
@@ -372,12 +408,13 @@ class O3EByteVal {
     constructor(string_len, idStr, _args) {
         this.string_len = string_len;
         this.id = idStr;
+        this.offset = _args && _args.offset ? _args.offset : 0;
     }
     /**
-     * @param {string} data  Raw data
+     * @param {number|string} data  Value to be encoded
      */
     encode(data) {
-        return val2byteArr(data, this.string_len, 1, false);
+        return val2byteArr(data, this.string_len, 1, false, this.offset);
     }
 
     /**
@@ -388,7 +425,7 @@ class O3EByteVal {
         for (let i = 0; i < this.string_len; i++) {
             val += string_bin[i] << (i * 8);
         }
-        return val;
+        return val + this.offset;
     }
 
     /**
@@ -414,12 +451,23 @@ class O3EFloat32 {
         this.string_len = string_len;
         this.id = idStr;
         this.scale = _args.scale;
+        this.offset = _args.offset || 0;
     }
     /**
-     * @param {any} _data  Float32 value
+     * @param {any} data  Float32 value
      */
-    encode(_data) {
-        throw new Error('O3EFloat32.encode(): not implemented yet');
+    encode(data) {
+        const buffer = new ArrayBuffer(4);
+        const uintView = new Uint32Array(buffer);
+        const floatView = new Float32Array(buffer);
+        const val = (parseNumber(data) - this.offset) * this.scale;
+        if (!Number.isFinite(val) || Math.abs(val) > FLOAT32_MAX) {
+            throw new O3EEncodeError(
+                `O3EFloat32.encode(): Value ${String(data)} out of range. Encoded value ${String(val)} exceeds float32.`,
+            );
+        }
+        floatView[0] = val;
+        return [0, 1, 2, 3].map(i => (uintView[0] >>> (8 * i)) & 0xff);
     }
 
     /**
@@ -430,7 +478,7 @@ class O3EFloat32 {
         const intView = new Int32Array(buffer);
         const floatView = new Float32Array(buffer);
         intView[0] = int2val(string_bin, false);
-        return floatView[0] / this.scale;
+        return floatView[0] / this.scale + this.offset;
     }
 
     /**
@@ -897,6 +945,91 @@ class O3EEnum {
     }
 }
 
+/**
+ *  Codec for UDSonCAN: Bit field, e.g. status word with single flags
+ */
+class O3EBitfield {
+    /**
+     * @param {number} string_len  Length of raw data
+     * @param {string} idStr  Data ID (DID)
+     * @param {object} _args  Additional parameters, e.g. { bits: [{ id: 'PumpOn', bit: 0 }, { id: 'Mode', bit: 4, width: 3, listStr: 'OperationMode' }] }
+     */
+    constructor(string_len, idStr, _args) {
+        this.string_len = string_len;
+        this.id = idStr;
+        this.bits = _args.bits;
+    }
+    /**
+     * @param {object} data  Values of bit fields, e.g. { PumpOn: true, Mode: { ID: 2, Text: '...' } }
+     * @param {Array} [raw]  Actual raw data of did (array of bytes). Bits not covered by definition are kept.
+     */
+    encode(data, raw) {
+        const rawValid = Array.isArray(raw) && raw.length == this.string_len;
+        const result = rawValid ? Array.from(raw) : Array.from(Array(this.string_len), () => 0);
+        const covered = Array.from(Array(this.string_len), () => 0); // Bits covered by definition
+        for (const field of Object.values(this.bits)) {
+            const width = field.width || 1;
+            let val = data[field.id];
+            if (val !== null && typeof val == 'object') {
+                val = val.ID;
+            }
+            val = typeof val == 'boolean' ? Number(val) : parseNumber(val);
+            if (!Number.isInteger(val) || val < 0 || val >= 2 ** width) {
+                throw new O3EEncodeError(
+                    `O3EBitfield.encode(): Value out of range: ${this.id}.${field.id} - ${String(val)}`,
+                );
+            }
+            for (let i = 0; i < width; i++) {
+                const pos = field.bit + i;
+                covered[Math.floor(pos / 8)] |= 1 << pos % 8;
+                if (Math.floor(val / 2 ** i) % 2) {
+                    result[Math.floor(pos / 8)] |= 1 << pos % 8;
+                } else {
+                    result[Math.floor(pos / 8)] &= ~(1 << pos % 8);
+                }
+            }
+        }
+        if (!rawValid && covered.some(byte => byte != 0xff)) {
+            throw new O3EEncodeError(
+                `O3EBitfield.encode(): Actual value needed to keep bits not covered by definition: ${this.id}`,
+            );
+        }
+        return result;
+    }
+    /**
+     * @param {Array} string_bin  Raw data (array of bytes)
+     */
+    decode(string_bin) {
+        const result = {};
+        for (const field of Object.values(this.bits)) {
+            const width = field.width || 1;
+            let val = 0;
+            for (let i = 0; i < width; i++) {
+                const pos = field.bit + i;
+                val += ((string_bin[Math.floor(pos / 8)] >> pos % 8) & 1) * 2 ** i;
+            }
+            if (field.listStr) {
+                let txt = '';
+                if (field.listStr in enums.enums && String(val) in enums.enums[field.listStr]) {
+                    txt = enums.enums[field.listStr][String(val)];
+                } else {
+                    txt = `Enum not found in ${field.listStr}`;
+                }
+                result[field.id] = { ID: val, Text: txt };
+            } else {
+                result[field.id] = width == 1 ? Boolean(val) : val;
+            }
+        }
+        return result;
+    }
+    /**
+     * Returns length of raw data
+     */
+    __len__() {
+        return this.string_len;
+    }
+}
+
 /**
  *  Codec for UDSonCAN: List of subs
  */
@@ -989,10 +1122,28 @@ class O3EArray {
         this.len = _args.arrayLength;
     }
     /**
-     * @param {any} _data  Float32 value
+     * @param {object} data  Lists of values per sub type, e.g. { Hour: [...], Value: [...] }
      */
-    encode(_data) {
-        throw new Error('not implemented yet');
+    encode(data) {
+        // Values are stored column-wise, i.e. all values of first sub type followed by all values of next sub type
+        let result = [];
+        const count = this.len;
+        for (const cdi of Object.values(this.subTypes)) {
+            const subT = new O3Ecodecs[cdi.codec](cdi.len, cdi.id, cdi.args);
+            const vals = data[cdi.id];
+            if (!Array.isArray(vals) || vals.length != count) {
+                throw new O3EEncodeError(`O3EArray.encode() expects ${String(count)} values for ${this.id}.${cdi.id}`);
+            }
+            for (const val of vals) {
+                result = result.concat(subT.encode(val));
+            }
+        }
+        if (result.length > this.string_len) {
+            throw new O3EEncodeError(
+                `O3EArray.encode() result too long: ${this.id} - ${String(result.length)} > ${String(this.string_len)}`,
+            );
+        }
+        return result.concat(Array.from(Array(this.string_len - result.length), () => 0));
     }
     /**
      * @param {string} string_bin  Raw data (string of hex bytes)
@@ -1035,12 +1186,14 @@ class O3EComplexType {
     }
     /**
      * @param {Array} data  Raw data
+     * @param {Array} [raw]  Actual raw data of did (array of bytes), e.g. for sub types of O3EBitfield
      */
-    encode(data) {
+    encode(data, raw) {
         let result = [];
         for (const cdi of Object.values(this.subTypes)) {
             const subT = new O3Ecodecs[cdi.codec](cdi.len, cdi.id, cdi.args);
-            result = result.concat(subT.encode(data[cdi.id]));
+            const rawSub = Array.isArray(raw) ? raw.slice(result.length, result.length + cdi.len) : undefined;
+            result = result.concat(subT.encode(data[cdi.id], rawSub));
         }
         if (result.length > this.string_len) {
             throw new Error(
@@ -1085,12 +1238,18 @@ class O3EcosPhi {
         this.string_len = string_len;
         this.id = idStr;
         this.scale = _args.scale;
+        this.offset = _args.offset || 0;
     }
     /**
-     * @param {any} _data  Float32 value
+     * @param {any} data  Value of cosinus phi
      */
-    encode(_data) {
-        throw new Error('not implemented yet');
+    encode(data) {
+        const val = Math.round((parseNumber(data) - this.offset) * this.scale);
+        if (Math.abs(val) > 0xff) {
+            throw new O3EEncodeError(`O3EcosPhi.encode(): Value out of range: ${this.id} - ${String(data)}`);
+        }
+        // Sign is given by first byte: 0x04 for negative values
+        return [val < 0 ? 0x04 : 0x00, Math.abs(val)];
     }
 
     /**
@@ -1101,7 +1260,7 @@ class O3EcosPhi {
         if (string_bin[0] == 0x04) {
             val = -1.0 * val;
         }
-        return val / this.scale;
+        return (val + this.offset * this.scale) / this.scale;
     }
 
     /**
@@ -1130,6 +1289,7 @@ const O3Ecodecs = {
     O3EDateTime: O3EDateTime,
     O3EUtc: O3EUtc,
     O3EEnum: O3EEnum,
+    O3EBitfield: O3EBitfield,
     O3EList: O3EList,
     O3EArray: O3EArray,
     O3EComplexType: O3EComplexType,
@@ -1138,6 +1298,7 @@ const O3Ecodecs = {
 
 module.exports = {
     O3Ecodecs,
+    O3EEncodeError,
     arr2Hex,
     toByteArray,
     val2byteArr,
@@ -12,6 +12,8 @@
 const { expect } = require('@iobroker/testing/node_modules/chai');
 const E3 = require('./codecs');
 const E3DidsDict = require('./didsE3.json');
+const E380DidsDict = require('./didsE380.json');
+const E3100CBDidsDict = require('./didsE3100CB.json');
 
 function toByteArray(hs) {
     // Convert hex string, e.g. '21A8' to byte array: [33,168]
@@ -96,79 +98,63 @@ describe('codecs.js => O3EUtf8()', () => {
 
 // val2byteArray:
 describe('codecs.js => val2byteArr()', () => {
-    let val = -1;
-    let expected = [0xff];
-    it(`sint08 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, true);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
-    });
-    val = 2**7-1;
-    expected = [0x7f];
-    it(`sint08 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, true);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
-    });
-    val = -(2**7);
-    expected = [0x80];
-    it(`sint08 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, true);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
-    });
-    val = 2**8-1;
-    expected = [0xff];
-    it(`uint08 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, false);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
-    });
-
-    val = -1;
-    expected = [0xff,0xff];
-    it(`sint16 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, true);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
-    });
-    val = 2**15-1;
-    expected = [0xff,0x7f];
-    it(`sint16 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, true);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
-    });
-    val = -(2**15);
-    expected = [0x00,0x80];
-    it(`sint16 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, true);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
-    });
-    val = 2**16-1;
-    expected = [0xff,0xff];
-    it(`uint16 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, false);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
-    });
+    /** @type {Array<[string, number|string, number, boolean, number[]]>} */
+    const cases = [
+        // descr, val, byte_width, signed, expected
+        ['sint08', -1,        1, true,  [0xff]],
+        ['sint08', 2**7-1,    1, true,  [0x7f]],
+        ['sint08', -(2**7),   1, true,  [0x80]],
+        ['uint08', 2**8-1,    1, false, [0xff]],
+        ['sint16', -1,        2, true,  [0xff,0xff]],
+        ['sint16', 2**15-1,   2, true,  [0xff,0x7f]],
+        ['sint16', -(2**15),  2, true,  [0x00,0x80]],
+        ['uint16', 2**16-1,   2, false, [0xff,0xff]],
+        ['sint32', -1,        4, true,  [0xff,0xff,0xff,0xff]],
+        ['sint32', 2**31-1,   4, true,  [0xff,0xff,0xff,0x7f]],
+        ['sint32', -(2**31),  4, true,  [0x00,0x00,0x00,0x80]],
+        ['uint32', 2**32-1,   4, false, [0xff,0xff,0xff,0xff]],
+        ['uint32', '42',      4, false, [0x2a,0x00,0x00,0x00]],
+        ['sint16', ' -2.5e1 ', 2, true, [0xe7,0xff]],
+    ];
+    for (const [descr, val, byteWidth, signed, expected] of cases) {
+        it(`${descr} ${JSON.stringify(val)} ${JSON.stringify(expected)}`, () => {
+            const result = E3.val2byteArr(val, byteWidth, 1, signed);
+            expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
+        });
+    }
+});
 
-    val = -1;
-    expected = [0xff,0xff,0xff,0xff];
-    it(`sint32 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, true);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
-    });
-    val = 2**31-1;
-    expected = [0xff,0xff,0xff,0x7f];
-    it(`sint32 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, true);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
+describe('codecs.js => val2byteArr() rejects invalid values', () => {
+    /** @type {Array<[string, any, number, boolean]>} */
+    const cases = [
+        // descr, val, byte_width, signed
+        ['sint08 above range', 2**7,      1, true],
+        ['sint08 below range', -(2**7)-1, 1, true],
+        ['uint08 above range', 2**8,      1, false],
+        ['uint08 negative',    -1,        1, false],
+        ['sint16 above range', 2**15,     2, true],
+        ['uint32 above range', 2**32,     4, false],
+        ['expression',         '2*3',     1, false],
+        ['function call',      'process.exit(1)', 1, false],
+        ['hex string',         '0x10',    1, false],
+        ['empty string',       '',        1, false],
+        ['object',             {},        1, false],
+        ['NaN',                NaN,       1, false],
+    ];
+    for (const [descr, val, byteWidth, signed] of cases) {
+        it(`${descr} ${String(val)}`, () => {
+            expect(() => E3.val2byteArr(val, byteWidth, 1, signed)).to.throw(E3.O3EEncodeError);
+        });
+    }
+    it('Int16 with scale checks range of encoded value', () => {
+        const f = new E3.O3Ecodecs.O3EInt16(2, 'test', {scale:10.0,signed:true});
+        expect(() => f.encode(3276.8)).to.throw(E3.O3EEncodeError, 'out of range');
+        expect(JSON.stringify(f.encode(3276.7))).to.equal(JSON.stringify([0xff,0x7f]));
     });
-    val = -(2**31);
-    expected = [0x00,0x00,0x00,0x80];
-    it(`sint32 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, true);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
-    });
-    val = 2**32-1;
-    expected = [0xff,0xff,0xff,0xff];
-    it(`uint32 ${JSON.stringify(expected)}`, () => {
-        const result = E3.val2byteArr(val, 4, 1, false);
-        expect(JSON.stringify(result)).to.equal(JSON.stringify(expected));
+    it('Enum and ByteVal reject invalid values', () => {
+        expect(() => new E3.O3Ecodecs.O3EEnum(1, 'test', {listStr:'Priorities'}).encode({'ID':256})).to.throw(E3.O3EEncodeError);
+        expect(() => new E3.O3Ecodecs.O3EByteVal(1, 'test', {}).encode('1+1')).to.throw(E3.O3EEncodeError);
+        expect(() => new E3.O3Ecodecs.O3EInt64(8, 'test', {scale:1.0,signed:false}).encode(-1)).to.throw(E3.O3EEncodeError);
     });
 });
 
@@ -187,6 +173,41 @@ describe('codecs.js => O3EFloat32().decode()', () => {
     codecDecode('Float -0.005'                       ,         -0.004999999888241291, E3.O3Ecodecs.O3EFloat32, 4, 'Float32Test10', {scale: 1.0}, [0xbb, 0xa3, 0xd7, 0x0a].reverse());
 });
 
+// Float32 ENCODER:
+describe('codecs.js => O3EFloat32().encode()', () => {
+    codecEncode('Float +0.0 '                        , [0x00, 0x00, 0x00, 0x00].reverse(), E3.O3Ecodecs.O3EFloat32, 4,  'Float32Test1', {scale: 1.0},                           0.0);
+    codecEncode('Float +100.5'                       , [0x42, 0xc9, 0x00, 0x00].reverse(), E3.O3Ecodecs.O3EFloat32, 4,  'Float32Test2', {scale: 1.0},                         100.5);
+    codecEncode('Float -100.5'                       , [0xc2, 0xc9, 0x00, 0x00].reverse(), E3.O3Ecodecs.O3EFloat32, 4,  'Float32Test3', {scale: 1.0},                        -100.5);
+    codecEncode('Float +4.242E8'                     , [0x4d, 0xca, 0x46, 0x3a].reverse(), E3.O3Ecodecs.O3EFloat32, 4,  'Float32Test4', {scale: 1.0},                      +4.242e8);
+    codecEncode('Float -4.242E8'                     , [0xcd, 0xca, 0x46, 0x3a].reverse(), E3.O3Ecodecs.O3EFloat32, 4,  'Float32Test5', {scale: 1.0},                      -4.242e8);
+    codecEncode('Float +425647872'                   , [0x4d, 0xca, 0xf6, 0xf8].reverse(), E3.O3Ecodecs.O3EFloat32, 4,  'Float32Test6', {scale: 1.0},                    +425647872);
+    codecEncode('Float -425647872'                   , [0xcd, 0xca, 0xf6, 0xf8].reverse(), E3.O3Ecodecs.O3EFloat32, 4,  'Float32Test7', {scale: 1.0},                    -425647872);
+    codecEncode('Float +7851817360303081791424561152', [0x6d, 0xca, 0xf6, 0xf8].reverse(), E3.O3Ecodecs.O3EFloat32, 4,  'Float32Test8', {scale: 1.0}, +7851817360303081791424561152);
+    codecEncode('Float -7851817360303081791424561152', [0xed, 0xca, 0xf6, 0xf8].reverse(), E3.O3Ecodecs.O3EFloat32, 4,  'Float32Test9', {scale: 1.0}, -7851817360303081791424561152);
+    codecEncode('Float +0.005'                       , [0x3b, 0xa3, 0xd7, 0x0a].reverse(), E3.O3Ecodecs.O3EFloat32, 4,  'Float32Test9', {scale: 1.0},                        +0.005);
+    codecEncode('Float -0.005'                       , [0xbb, 0xa3, 0xd7, 0x0a].reverse(), E3.O3Ecodecs.O3EFloat32, 4, 'Float32Test10', {scale: 1.0},                        -0.005);
+    codecEncode('Float +100.5, scale=10'             , [0x44, 0x7b, 0x40, 0x00].reverse(), E3.O3Ecodecs.O3EFloat32, 4, 'Float32Test11', {scale: 10.0},                        100.5);
+    codecEncode('Float max'                          , [0x7f, 0x7f, 0xff, 0xff].reverse(), E3.O3Ecodecs.O3EFloat32, 4, 'Float32Test12', {scale: 1.0},       3.4028234663852886e38);
+    it('Float rejects values out of range of float32', () => {
+        const f = new E3.O3Ecodecs.O3EFloat32(4, 'Float32Test13', {scale: 10.0});
+        expect(() => f.encode(3.5e38)).to.throw(E3.O3EEncodeError, 'out of range');
+        expect(() => f.encode(-3.5e37)).to.throw(E3.O3EEncodeError, 'out of range');
+        expect(() => f.encode(1e308)).to.throw(E3.O3EEncodeError, 'out of range');
+        expect(() => f.encode(Infinity)).to.throw(E3.O3EEncodeError);
+        expect(() => f.encode('NaN')).to.throw(E3.O3EEncodeError);
+    });
+});
+
+// Float32 round trip:
+describe('codecs.js => O3EFloat32() round trip', () => {
+    for (const [val, scale] of [[0.0, 1.0], [21.5, 1.0], [-273.25, 1.0], [4.242e8, 1.0], [12.5, 10.0], [-0.75, 100.0]]) {
+        it(`Float ${val}, scale=${scale}`, () => {
+            const f = new E3.O3Ecodecs.O3EFloat32(4, 'Float32RoundTrip', {scale: scale});
+            expect(f.decode(f.encode(val))).to.equal(val);
+        });
+    }
+});
+
 // Integer DECODER:
 describe('codecs.js => O3EInt8().decode()', () => {
     codecDecode('Positive Number, scale=10, signed=true ', 5,           E3.O3Ecodecs.O3EInt8, 1, 'test1', {scale:10.0,signed:true}, [0x32]);
@@ -262,6 +283,51 @@ describe('codecs.js => O3EInt64().encode()', () => {
     codecEncode('Positive Number, scale=10, signed=false', [0xfb,0x00,0x00,0x00,0x00,0x00,0x00,0x00], E3.O3Ecodecs.O3EInt64, 8, 'test6', {scale:10.0,signed:false}, 25.1);
 });
 
+// Offset of numeric values:
+describe('codecs.js => offset of numeric codecs', () => {
+    codecDecode('Int16, scale=10, offset=-40', -14.9, E3.O3Ecodecs.O3EInt16,   2, 'test1', {scale:10.0,signed:true,offset:-40}, [0xfb,0x00]);
+    codecEncode('Int16, scale=10, offset=-40', [0xfb,0x00], E3.O3Ecodecs.O3EInt16,   2, 'test1', {scale:10.0,signed:true,offset:-40}, -14.9);
+    codecDecode('Int32, scale= 1, offset=100',   95, E3.O3Ecodecs.O3EInt32,   4, 'test2', {scale:1.0,signed:true,offset:100}, [0xfb,0xff,0xff,0xff]);
+    codecEncode('Int32, scale= 1, offset=100', [0xfb,0xff,0xff,0xff], E3.O3Ecodecs.O3EInt32,   4, 'test2', {scale:1.0,signed:true,offset:100}, 95);
+    codecDecode('Int64, scale=10, offset=-40', -14.9, E3.O3Ecodecs.O3EInt64,   8, 'test3', {scale:10.0,signed:true,offset:-40}, [0xfb,0x00,0x00,0x00,0x00,0x00,0x00,0x00]);
+    codecEncode('Int64, scale=10, offset=-40', [0xfb,0x00,0x00,0x00,0x00,0x00,0x00,0x00], E3.O3Ecodecs.O3EInt64,   8, 'test3', {scale:10.0,signed:true,offset:-40}, -14.9);
+    codecDecode('ByteVal, offset=-40',          -35, E3.O3Ecodecs.O3EByteVal, 1, 'test4', {offset:-40}, [0x05]);
+    codecEncode('ByteVal, offset=-40',       [0x05], E3.O3Ecodecs.O3EByteVal, 1, 'test4', {offset:-40}, -35);
+    codecDecode('Float32, offset=-40',          60.5, E3.O3Ecodecs.O3EFloat32, 4, 'test5', {scale:1.0,offset:-40}, [0x42, 0xc9, 0x00, 0x00].reverse());
+    codecEncode('Float32, offset=-40',   [0x42, 0xc9, 0x00, 0x00].reverse(), E3.O3Ecodecs.O3EFloat32, 4, 'test5', {scale:1.0,offset:-40}, 60.5);
+    codecDecode('cosPhi, offset=1',          0.05, E3.O3Ecodecs.O3EcosPhi, 2, 'test6', {scale:100.0,offset:1}, [0x04,0x5f]);
+    codecEncode('cosPhi, offset=1',   [0x04,0x5f], E3.O3Ecodecs.O3EcosPhi, 2, 'test6', {scale:100.0,offset:1}, 0.05);
+});
+
+// Bit field:
+describe('codecs.js => O3EBitfield()', () => {
+    const args = {'bits':[
+        {'id':'PumpOn','bit':0},
+        {'id':'CompressorRunning','bit':1},
+        {'id':'DefrostActive','bit':7},
+        {'id':'Stage','bit':8,'width':3},
+        {'id':'Priority','bit':12,'width':2,'listStr':'Priorities'},
+    ]};
+    const js = {'PumpOn':true,'CompressorRunning':false,'DefrostActive':true,'Stage':5,'Priority':{'ID':1,'Text':'DomesticHotWater'}};
+    codecDecode('Decoding flags, ints and enums', js,   E3.O3Ecodecs.O3EBitfield, 2, 'BitfieldTest', args, [0x81,0x1d]);
+    it('Encoding flags, ints and enums keeps bits not covered by definition', () => {
+        const f = new E3.O3Ecodecs.O3EBitfield(2, 'BitfieldTest', args);
+        expect(f.encode(js, [0x00,0x08])).to.deep.equal([0x81,0x1d]);
+        expect(f.encode({...js, 'PumpOn':false, 'Stage':0}, [0xff,0xff])).to.deep.equal([0xfc,0xd8]);
+    });
+    it('Encoding without actual value requires definition of all bits', () => {
+        const f = new E3.O3Ecodecs.O3EBitfield(2, 'BitfieldTest', args);
+        expect(() => f.encode(js)).to.throw(E3.O3EEncodeError, 'Actual value needed');
+        const full = new E3.O3Ecodecs.O3EBitfield(1, 'BitfieldTest', {'bits':[{'id':'Low','bit':0,'width':4},{'id':'High','bit':4,'width':4}]});
+        expect(full.encode({'Low':3,'High':10})).to.deep.equal([0xa3]);
+    });
+    codecDecode('Decoding unknown enum', {'Mode':{'ID':3,'Text':'Enum not found in Priorities'}}, E3.O3Ecodecs.O3EBitfield, 1, 'BitfieldTest', {'bits':[{'id':'Mode','bit':2,'width':2,'listStr':'Priorities'}]}, [0x0c]);
+    it('Encoding rejects values exceeding width of bit field', () => {
+        const f = new E3.O3Ecodecs.O3EBitfield(2, 'BitfieldTest', args);
+        expect(() => f.encode({...js, 'Stage':8}, [0x00,0x00])).to.throw('Value out of range: BitfieldTest.Stage - 8');
+    });
+});
+
 // Complex data structures
 // Do testing for specific dids to cover all available codecs
 describe('codecs.js => O3EComplexType()', () => {
@@ -352,3 +418,52 @@ describe('codecs.js => O3EComplexType()', () => {
     // Encoding makes no sense for this did in real life, but testing helps to improve codec robustness
     codecEncode('Encoding did 1294 ', raw_arr, E3.O3Ecodecs[cdi.codec], cdi.len, cdi.id, cdi.args, js);
 });
+
+// Array and cosPhi: decode(encode(x)) == x for all dids using these codecs
+function usesCodec(cdi, codecs) {
+    if (codecs.includes(cdi.codec)) {
+        return true;
+    }
+    const subTypes = cdi.args && cdi.args.subTypes ? Object.values(cdi.args.subTypes) : [];
+    return subTypes.some(sub => usesCodec(sub, codecs));
+}
+
+function codecRoundTrip(descr, cdi, cntSamples) {
+    it(`${descr} ${cdi.id}`, () => {
+        // Reproducible pseudo random raw data
+        let seed = 4242;
+        const f = new E3.O3Ecodecs[cdi.codec](cdi.len, cdi.id, cdi.args);
+        for (let n=0; n<cntSamples; n++) {
+            const raw = Array.from(Array(cdi.len), () => {
+                seed = (seed * 1103515245 + 12345) % 2**31;
+                return seed >> 23;
+            });
+            const x = f.decode(raw);
+            expect(f.decode(f.encode(x))).to.deep.equal(x);
+        }
+    });
+}
+
+describe('codecs.js => O3EArray() and O3EcosPhi() round trip', () => {
+    const codecs = ['O3EArray', 'O3EcosPhi'];
+    for (const dict of [E3DidsDict, E380DidsDict, E3100CBDidsDict]) {
+        for (const [did, cdi] of Object.entries(dict)) {
+            if (usesCodec(cdi, codecs)) {
+                codecRoundTrip(`Did ${did}`, cdi, 50);
+            }
+        }
+    }
+    const cdiArray = {'codec':'O3EArray','len':14,'id':'ArrayTest','args':{'arrayLength':2,'subTypes':[
+        {'codec':'O3EInt16','len':2,'id':'Value','args':{'scale':10.0,'signed':true}},
+        {'codec':'O3EByteVal','len':1,'id':'Hour','args':{'scale':1.0}},
+        {'codec':'O3EcosPhi','len':2,'id':'cosPhi','args':{'scale':100.0}},
+    ]}};
+    codecRoundTrip('Array, column-wise', cdiArray, 50);
+    codecEncode('Array, column-wise', [0x32,0x00,0xfb,0xff,0x07,0x11,0x04,0x5a,0x00,0x64,0x00,0x00,0x00,0x00], E3.O3Ecodecs.O3EArray, 14, 'ArrayTest', cdiArray.args, {'Value':[5,-0.5],'Hour':[7,17],'cosPhi':[-0.9,1]});
+    it('Array rejects result exceeding length of did', () => {
+        const f = new E3.O3Ecodecs.O3EArray(8, 'ArrayTest', cdiArray.args);
+        expect(() => f.encode({'Value':[5,-0.5],'Hour':[7,17],'cosPhi':[-0.9,1]})).to.throw(E3.O3EEncodeError, 'result too long');
+    });
+    codecEncode('cosPhi negative', [0x04,0x5f], E3.O3Ecodecs.O3EcosPhi, 2, 'cosPhi', {scale:100.0}, -0.95);
+    codecEncode('cosPhi positive', [0x00,0x5f], E3.O3Ecodecs.O3EcosPhi, 2, 'cosPhi', {scale:100.0}, 0.95);
+});
@@ -0,0 +1,220 @@
+const E3 = require('./codecs');
+const enums = require('./enums');
+
+// Fixed length of raw data of numeric codecs
+const codecLengths = {
+    O3EInt8: 1,
+    O3EInt16: 2,
+    O3EInt32: 4,
+    O3EInt64: 8,
+    O3EFloat32: 4,
+    O3EcosPhi: 2,
+};
+
+/**
+ * Return sum of lengths of sub types
+ *
+ * @param {Array} subTypes  List of sub types
+ */
+function sumLen(subTypes) {
+    return subTypes.reduce((sum, sub) => sum + (Number.isInteger(sub.len) ? sub.len : 0), 0);
+}
+
+/**
+ * Check list of sub types of codec, e.g. of O3EComplexType
+ *
+ * @param {object} cdi  Definition of codec
+ * @param {string} path  Path of codec within did definition
+ * @param {Array} issues  List of issues found so far
+ */
+function validateSubTypes(cdi, path, issues) {
+    const subTypes = cdi.args.subTypes;
+    if (!Array.isArray(subTypes) || subTypes.length == 0) {
+        issues.push({ severity: 'error', path: path, msg: `${cdi.codec} needs a non-empty list args.subTypes` });
+        return false;
+    }
+    for (const sub of subTypes) {
+        validateCodec(sub, `${path}.${String(sub && sub.id)}`, issues);
+    }
+    return true;
+}
+
+/**
+ * Check definition of codec including its sub types
+ *
+ * @param {any} cdi  Definition of codec, e.g. { codec, len, id, args }
+ * @param {string} path  Path of codec within did definition
+ * @param {Array} issues  List of issues found so far
+ */
+function validateCodec(cdi, path, issues) {
+    if (cdi === null || typeof cdi != 'object' || Array.isArray(cdi)) {
+        issues.push({ severity: 'error', path: path, msg: 'definition has to be an object' });
+        return;
+    }
+    if (!(cdi.codec in E3.O3Ecodecs)) {
+        issues.push({ severity: 'error', path: path, msg: `unknown codec ${JSON.stringify(cdi.codec)}` });
+        return;
+    }
+    if (!Number.isInteger(cdi.len) || cdi.len <= 0) {
+        issues.push({ severity: 'error', path: path, msg: `len has to be a positive integer` });
+        return;
+    }
+    if (typeof cdi.id != 'string' || cdi.id == '') {
+        issues.push({ severity: 'error', path: path, msg: 'id has to be a non-empty string' });
+    }
+    if (cdi.args === null || typeof cdi.args != 'object') {
+        issues.push({ severity: 'error', path: path, msg: 'args has to be an object' });
+        return;
+    }
+    if (cdi.codec in codecLengths && cdi.len != codecLengths[cdi.codec]) {
+        issues.push({
+            severity: 'error',
+            path: path,
+            msg: `len of ${cdi.codec} has to be ${String(codecLengths[cdi.codec])}, not ${String(cdi.len)}`,
+        });
+    }
+    if ('scale' in cdi.args && (typeof cdi.args.scale != 'number' || cdi.args.scale == 0)) {
+        issues.push({ severity: 'error', path: path, msg: 'args.scale has to be a number other than 0' });
+    }
+    if ('offset' in cdi.args && typeof cdi.args.offset != 'number') {
+        issues.push({ severity: 'error', path: path, msg: 'args.offset has to be a number' });
+    }
+    for (const prop of ['unit', 'role', 'desc']) {
+        if (prop in cdi && typeof cdi[prop] != 'string') {
+            issues.push({ severity: 'error', path: path, msg: `${prop} has to be a string` });
+        }
+    }
+    for (const prop of ['min', 'max']) {
+        if (prop in cdi && typeof cdi[prop] != 'number') {
+            issues.push({ severity: 'error', path: path, msg: `${prop} has to be a number` });
+        }
+    }
+    if (
+        'name' in cdi &&
+        typeof cdi.name != 'string' &&
+        (cdi.name === null ||
+            typeof cdi.name != 'object' ||
+            !Object.values(cdi.name).every(name => typeof name == 'string'))
+    ) {
+        issues.push({ severity: 'error', path: path, msg: 'name has to be a string or an object of translations' });
+    }
+    switch (cdi.codec) {
+        case 'O3EEnum':
+            if (!(cdi.args.listStr in enums.enums)) {
+                issues.push({
+                    severity: 'error',
+                    path: path,
+                    msg: `args.listStr ${JSON.stringify(cdi.args.listStr)} not found in enums`,
+                });
+            }
+            break;
+        case 'O3EBitfield':
+            if (!Array.isArray(cdi.args.bits) || cdi.args.bits.length == 0) {
+                issues.push({ severity: 'error', path: path, msg: 'O3EBitfield needs a non-empty list args.bits' });
+                break;
+            }
+            for (const field of cdi.args.bits) {
+                const width = field.width || 1;
+                if (!Number.isInteger(field.bit) || field.bit < 0 || field.bit + width > 8 * cdi.len) {
+                    issues.push({
+                        severity: 'error',
+                        path: `${path}.${String(field.id)}`,
+                        msg: `bits ${String(field.bit)}..${String(field.bit + width - 1)} exceed len`,
+                    });
+                }
+                if ('listStr' in field && !(field.listStr in enums.enums)) {
+                    issues.push({
+                        severity: 'error',
+                        path: `${path}.${String(field.id)}`,
+                        msg: `listStr ${JSON.stringify(field.listStr)} not found in enums`,
+                    });
+                }
+            }
+            break;
+        case 'O3EComplexType':
+            if (validateSubTypes(cdi, path, issues)) {
+                const len = sumLen(cdi.args.subTypes);
+                if (len > cdi.len) {
+                    issues.push({
+                        severity: 'error',
+                        path: path,
+                        msg: `sum of len of sub types (${String(len)}) exceeds len (${String(cdi.len)})`,
+                    });
+                } else if (len < cdi.len) {
+                    issues.push({
+                        severity: 'warning',
+                        path: path,
+                        msg: `sum of len of sub types (${String(len)}) is less than len (${String(cdi.len)})`,
+                    });
+                }
+            }
+            break;
+        case 'O3EArray':
+            if (validateSubTypes(cdi, path, issues)) {
+                if (!Number.isInteger(cdi.args.arrayLength) || cdi.args.arrayLength <= 0) {
+                    issues.push({
+                        severity: 'error',
+                        path: path,
+                        msg: 'args.arrayLength has to be a positive integer',
+                    });
+                } else if (cdi.args.arrayLength * sumLen(cdi.args.subTypes) > cdi.len) {
+                    issues.push({
+                        severity: 'error',
+                        path: path,
+                        msg: `arrayLength times sum of len of sub types exceeds len (${String(cdi.len)})`,
+                    });
+                }
+            }
+            break;
+        case 'O3EList':
+            if (validateSubTypes(cdi, path, issues)) {
+                // Entries of list are given by sub types having sub types. Their number is given by field Count.
+                const subTypes = cdi.args.subTypes;
+                const isEntry = sub => Boolean(sub && sub.args && sub.args.subTypes);
+                const isCount = sub => Boolean(sub && typeof sub.id == 'string' && sub.id.toLowerCase() == 'count');
+                if (subTypes.some(isEntry) && !subTypes.some(isCount)) {
+                    issues.push({ severity: 'error', path: path, msg: 'O3EList with entries needs a sub type Count' });
+                }
+                const len = sumLen(subTypes.filter(sub => !isEntry(sub)));
+                if (len > cdi.len) {
+                    issues.push({
+                        severity: 'error',
+                        path: path,
+                        msg: `sum of len of sub types (${String(len)}) exceeds len (${String(cdi.len)})`,
+                    });
+                }
+            }
+            break;
+    }
+}
+
+/**
+ * Check dictionary of did definitions, e.g. didsE3.json or state info.udsDidsSpecific.
+ * Returns list of issues found: [{ did, severity ('error' or 'warning'), path, msg }]
+ *
+ * @param {any} dids  Dictionary of did definitions
+ */
+function validateDids(dids) {
+    const issues = [];
+    if (dids === null || typeof dids != 'object' || Array.isArray(dids)) {
+        return [{ did: '', severity: 'error', path: '', msg: 'dictionary of dids has to be an object' }];
+    }
+    for (const [did, cdi] of Object.entries(dids)) {
+        if (did == 'Version') {
+            continue;
+        }
+        const issuesDid = [];
+        if (!/^\d+(_\d+)?$/.test(did)) {
+            issuesDid.push({ severity: 'error', path: '', msg: 'key has to be a did number' });
+        }
+        validateCodec(cdi, cdi && typeof cdi.id == 'string' ? cdi.id : '', issuesDid);
+        for (const issue of issuesDid) {
+            issues.push({ did: did, ...issue });
+        }
+    }
+    return issues;
+}
+
+module.exports = {
+    validateDids,
+};
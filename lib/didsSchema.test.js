@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Tests for validation of did dictionaries
+ *
+ * It's automatically excluded from npm and its build output is excluded from both git and npm.
+ * It is advised to test all your modules with accompanying *.test.js-files
+ */
+
+// tslint:disable:no-unused-expression
+
+const { expect } = require('@iobroker/testing/node_modules/chai');
+const didsSchema = require('./didsSchema');
+
+function errors(dids) {
+    return didsSchema
+        .validateDids(dids)
+        .filter(issue => issue.severity == 'error')
+        .map(issue => `${issue.did} ${issue.path}: ${issue.msg}`);
+}
+
+describe('didsSchema.js => bundled dictionaries', () => {
+    for (const file of ['./didsE3.json', './didsE380.json', './didsE3100CB.json']) {
+        it(`${file} has no errors`, () => {
+            expect(errors(require(file))).to.deep.equal([]);
+        });
+    }
+});
+
+describe('didsSchema.js => broken definitions', () => {
+    const int16 = { codec: 'O3EInt16', len: 2, id: 'Actual', args: { scale: 10.0, signed: true } };
+
+    it('accepts valid definitions', () => {
+        const dids = {
+            Version: '20251102',
+            268: { codec: 'O3EComplexType', len: 4, id: 'FlowTemperature', args: { subTypes: [int16, int16] } },
+            1100: { codec: 'O3EEnum', len: 1, id: 'BusType', args: { listStr: 'BusTypes' } },
+        };
+        expect(didsSchema.validateDids(dids)).to.deep.equal([]);
+    });
+    it('detects unknown codecs, wrong lengths and unknown enums', () => {
+        const dids = {
+            256: { codec: 'O3EInt17', len: 2, id: 'Unknown', args: {} },
+            257: { codec: 'O3EInt16', len: 4, id: 'TooLong', args: { scale: 1.0 } },
+            258: { codec: 'O3EEnum', len: 1, id: 'Mode', args: { listStr: 'NoSuchList' } },
+            259: { codec: 'O3EByteVal', len: 1, id: 'NoArgs' },
+            abc: { codec: 'O3EByteVal', len: 1, id: 'BadKey', args: {} },
+        };
+        expect(errors(dids)).to.deep.equal([
+            '256 Unknown: unknown codec "O3EInt17"',
+            '257 TooLong: len of O3EInt16 has to be 2, not 4',
+            '258 Mode: args.listStr "NoSuchList" not found in enums',
+            '259 NoArgs: args has to be an object',
+            'abc : key has to be a did number',
+        ]);
+    });
+    it('checks sum of lengths of sub types', () => {
+        const dids = {
+            268: { codec: 'O3EComplexType', len: 3, id: 'TooShort', args: { subTypes: [int16, int16] } },
+            269: { codec: 'O3EComplexType', len: 6, id: 'Padded', args: { subTypes: [int16, int16] } },
+        };
+        expect(errors(dids)).to.deep.equal(['268 TooShort: sum of len of sub types (4) exceeds len (3)']);
+        expect(didsSchema.validateDids(dids)[1]).to.deep.include({ did: '269', severity: 'warning' });
+    });
+    it('checks sub types of nested structures', () => {
+        const dids = {
+            268: {
+                codec: 'O3EComplexType',
+                len: 4,
+                id: 'Outer',
+                args: { subTypes: [int16, { codec: 'O3EInt16', len: 2, id: 'Inner', args: { scale: 0 } }] },
+            },
+        };
+        expect(errors(dids)).to.deep.equal(['268 Outer.Inner: args.scale has to be a number other than 0']);
+    });
+    it('requires field Count for lists with entries', () => {
+        const entry = { codec: 'O3EComplexType', len: 2, id: 'Schedules', args: { subTypes: [int16] } };
+        const count = { codec: 'O3EByteVal', len: 1, id: 'Count', args: {} };
+        const dids = {
+            726: { codec: 'O3EList', len: 9, id: 'Schedule', args: { subTypes: [count, entry] } },
+            727: { codec: 'O3EList', len: 9, id: 'NoCount', args: { subTypes: [entry] } },
+        };
+        expect(errors(dids)).to.deep.equal(['727 NoCount: O3EList with entries needs a sub type Count']);
+    });
+    it('checks properties of states', () => {
+        const dids = {
+            268: { ...int16, unit: '°C', role: 'value.temperature', name: { en: 'Flow', de: 'Vorlauf' } },
+            269: { ...int16, unit: 1, name: { en: 1 }, min: '0' },
+        };
+        expect(errors(dids)).to.deep.equal([
+            '269 Actual: unit has to be a string',
+            '269 Actual: min has to be a number',
+            '269 Actual: name has to be a string or an object of translations',
+        ]);
+    });
+    it('rejects dictionaries not being an object', () => {
+        expect(errors([])).to.deep.equal([' : dictionary of dids has to be an object']);
+    });
+});
@@ -0,0 +1,345 @@
+const didsSchema = require('./didsSchema');
+
+// Names of positional arguments of open3e codecs following string_len and idStr
+const codecParams = {
+    RawCodec: [],
+    O3EInt8: ['scale', 'offset', 'signed'],
+    O3EInt16: ['scale', 'offset', 'signed'],
+    O3EInt32: ['scale', 'offset', 'signed'],
+    O3EInt64: ['scale', 'offset', 'signed'],
+    O3EByteVal: ['offset'],
+    O3EFloat32: ['scale', 'offset'],
+    O3EcosPhi: ['scale', 'offset'],
+    O3EBool: [],
+    O3EUtf8: ['offset'],
+    O3ESoftVers: [],
+    O3EMacAddr: [],
+    O3EIp4Addr: [],
+    O3ESdate: [],
+    O3EStime: [],
+    O3EDateTime: ['timeformat'],
+    O3EUtc: [],
+    O3EEnum: ['listStr'],
+    O3EList: ['subTypes'],
+    O3EArray: ['subTypes', 'arrayLength'],
+    O3EComplexType: ['subTypes'],
+};
+
+// Default values of arguments used by our codecs
+const codecDefaults = {
+    O3EInt8: { scale: 1.0, signed: false },
+    O3EInt16: { scale: 1.0, signed: false },
+    O3EInt32: { scale: 1.0, signed: false },
+    O3EInt64: { scale: 1.0, signed: false },
+    O3EFloat32: { scale: 1.0 },
+    O3EcosPhi: { scale: 1.0 },
+};
+
+/**
+ * Split python source into tokens. Comments are skipped.
+ *
+ * @param {string} src  Python source
+ */
+function tokenize(src) {
+    const tokens = [];
+    const re =
+        /\s+|#[^\n]*|(0x[0-9a-fA-F]+|[0-9]*\.?[0-9]+(?:[eE][-+]?[0-9]+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_][A-Za-z0-9_.]*)|([-+()[\]{},:=])/y;
+    let m;
+    while (re.lastIndex < src.length) {
+        const pos = re.lastIndex;
+        m = re.exec(src);
+        if (!m) {
+            throw new Error(`Unexpected character ${JSON.stringify(src[pos])} at position ${pos}`);
+        }
+        if (m[1] !== undefined) {
+            tokens.push({ type: 'num', val: Number(m[1]) });
+        } else if (m[2] !== undefined) {
+            tokens.push({ type: 'str', val: m[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+        } else if (m[3] !== undefined) {
+            tokens.push({ type: 'name', val: m[3] });
+        } else if (m[4] !== undefined) {
+            tokens.push({ type: 'punct', val: m[4] });
+        }
+    }
+    return tokens;
+}
+
+/**
+ *  Parser for the subset of python used by open3e datapoint definitions
+ */
+class pythonParser {
+    /**
+     * @param {string} src  Python source
+     */
+    constructor(src) {
+        this.tokens = tokenize(src.replace(/^[ \t]*(import|from)[ \t].*$/gm, '')); // Imports are not needed
+        this.pos = 0;
+    }
+
+    /**
+     * Return next token without consuming it
+     */
+    peek() {
+        return this.tokens[this.pos] || { type: 'eof', val: null };
+    }
+
+    /**
+     * Consume next token. Throws, if it's not the expected punctuation.
+     *
+     * @param {string} [punct]  Expected punctuation
+     */
+    next(punct) {
+        const token = this.peek();
+        if (punct !== undefined && (token.type != 'punct' || token.val != punct)) {
+            throw new Error(`Expected "${punct}" but found ${JSON.stringify(token.val)}`);
+        }
+        this.pos += 1;
+        return token;
+    }
+
+    /**
+     * Consume next token, if it's the given punctuation
+     *
+     * @param {string} punct  Punctuation
+     */
+    accept(punct) {
+        const token = this.peek();
+        if (token.type == 'punct' && token.val == punct) {
+            this.pos += 1;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Parse list of items up to closing bracket
+     *
+     * @param {string} close  Closing bracket
+     * @param {Function} parseItem  Parser of single item
+     */
+    parseItems(close, parseItem) {
+        while (!this.accept(close)) {
+            parseItem();
+            if (!this.accept(',')) {
+                this.next(close);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Parse expression: number, string, list, dict, constant or codec call
+     */
+    parseExpr() {
+        const token = this.next();
+        if (token.type == 'num' || token.type == 'str') {
+            return token.val;
+        }
+        if (token.type == 'punct') {
+            switch (token.val) {
+                case '-':
+                    return -this.parseExpr();
+                case '+':
+                    return this.parseExpr();
+                case '[': {
+                    const list = [];
+                    this.parseItems(']', () => list.push(this.parseExpr()));
+                    return list;
+                }
+                case '{': {
+                    const dict = {};
+                    this.parseItems('}', () => {
+                        const key = this.parseExpr();
+                        this.next(':');
+                        dict[String(key)] = this.parseExpr();
+                    });
+                    return dict;
+                }
+            }
+        }
+        if (token.type == 'name') {
+            switch (token.val) {
+                case 'True':
+                    return true;
+                case 'False':
+                    return false;
+                case 'None':
+                    return null;
+            }
+            if (this.accept('(')) {
+                const args = [];
+                const kwargs = {};
+                this.parseItems(')', () => {
+                    const itm = this.peek();
+                    const follow = this.tokens[this.pos + 1];
+                    if (itm.type == 'name' && follow && follow.type == 'punct' && follow.val == '=') {
+                        this.pos += 2;
+                        kwargs[itm.val] = this.parseExpr();
+                    } else {
+                        args.push(this.parseExpr());
+                    }
+                });
+                return { call: String(token.val).split('.').pop(), args: args, kwargs: kwargs };
+            }
+        }
+        throw new Error(`Unexpected token ${JSON.stringify(token.val)}`);
+    }
+
+    /**
+     * Parse module and return values of top level assignments
+     */
+    parseModule() {
+        const vars = {};
+        while (this.peek().type != 'eof') {
+            const token = this.next();
+            if (token.type == 'name' && this.accept('=')) {
+                vars[token.val] = this.parseExpr();
+                continue;
+            }
+            throw new Error(`Unexpected token ${JSON.stringify(token.val)}`);
+        }
+        return vars;
+    }
+}
+
+/**
+ * Convert parsed codec call to did definition of our format
+ *
+ * @param {any} call  Parsed codec call
+ */
+function call2Cdi(call) {
+    if (call === null || typeof call != 'object' || !('call' in call)) {
+        throw new Error(`Codec expected but found ${JSON.stringify(call)}`);
+    }
+    const params = codecParams[call.call] || [];
+    const args = { ...codecDefaults[call.call] };
+    call.args.slice(2).forEach((val, i) => {
+        args[params[i] || `arg${String(i + 2)}`] = val;
+    });
+    for (const [key, val] of Object.entries(call.kwargs)) {
+        if (key == 'string_len' || key == 'idStr') {
+            continue;
+        }
+        const param = params.find(p => p.toLowerCase() == key.toLowerCase()) || key;
+        args[param] = val;
+    }
+    // open3e uses offset as position of value within data of did, while our codecs use it as bias of value
+    if ('offset' in args) {
+        if (args.offset != 0) {
+            throw new Error(`byte offset ${String(args.offset)} of ${call.call} is not supported`);
+        }
+        delete args.offset;
+    }
+    if ('subTypes' in args) {
+        args.subTypes = Array.isArray(args.subTypes) ? args.subTypes.map(sub => call2Cdi(sub)) : args.subTypes;
+    }
+    return {
+        codec: call.call,
+        len: 'string_len' in call.kwargs ? call.kwargs.string_len : call.args[0],
+        id: 'idStr' in call.kwargs ? call.kwargs.idStr : call.args[1],
+        args: args,
+    };
+}
+
+/**
+ * Return definition of did with default arguments filled in and keys sorted, e.g. for comparison of definitions
+ *
+ * @param {any} cdi  Definition of codec or part of it
+ */
+function normalizeCdi(cdi) {
+    if (cdi === null || typeof cdi != 'object') {
+        return cdi;
+    }
+    if (Array.isArray(cdi)) {
+        return cdi.map(itm => normalizeCdi(itm));
+    }
+    const norm = { ...cdi };
+    if (typeof norm.codec == 'string' && norm.args && typeof norm.args == 'object') {
+        norm.args = { ...codecDefaults[norm.codec], ...norm.args };
+        if (norm.args.offset === 0) {
+            delete norm.args.offset; // Same as no offset
+        }
+    }
+    return Object.fromEntries(
+        Object.keys(norm)
+            .sort()
+            .map(key => [key, normalizeCdi(norm[key])]),
+    );
+}
+
+/**
+ * Parse open3e datapoint definitions (Open3Edatapoints.py or Open3Edatapoints_<addr>.py).
+ * Returns { dids, removed, rejected }. removed lists dids set to None in device specific files,
+ * rejected lists dids which can't be converted including the reason.
+ *
+ * @param {string} src  Content of python file
+ */
+function parseOpen3eDatapoints(src) {
+    const vars = new pythonParser(src).parseModule();
+    const dataIdentifiers = vars.dataIdentifiers;
+    if (!dataIdentifiers || typeof dataIdentifiers != 'object' || !dataIdentifiers.dids) {
+        throw new Error('No dataIdentifiers["dids"] found');
+    }
+    const dids = {};
+    const removed = [];
+    const rejected = [];
+    for (const [did, call] of Object.entries(dataIdentifiers.dids)) {
+        if (call === null) {
+            removed.push(did);
+            continue;
+        }
+        try {
+            dids[did] = call2Cdi(call);
+        } catch (e) {
+            rejected.push({ did: Number(did), reason: e.message });
+        }
+    }
+    return { dids: dids, removed: removed, rejected: rejected };
+}
+
+/**
+ * Merge imported did definitions into device specific dids. Dids not available on the device are skipped.
+ * Existing definitions are replaced only if they are RawCodec placeholders, unless overwrite is set.
+ * Returns { didsDevSpec, merged, skipped }.
+ *
+ * @param {object} didsDevCom  Common dids of device
+ * @param {object} didsDevSpec  Device specific dids
+ * @param {object} didsImported  Imported did definitions
+ * @param {boolean} overwrite  Replace definitions other than RawCodec as well
+ */
+function mergeOpen3eDids(didsDevCom, didsDevSpec, didsImported, overwrite = false) {
+    const result = JSON.parse(JSON.stringify(didsDevSpec));
+    const merged = [];
+    const skipped = [];
+    const issues = didsSchema.validateDids(didsImported).filter(issue => issue.severity == 'error');
+    for (const [did, cdi] of Object.entries(didsImported)) {
+        const current = did in didsDevSpec ? didsDevSpec[did] : didsDevCom[did];
+        const errors = issues.filter(issue => issue.did == did);
+        let reason = '';
+        if (did == 'Version') {
+            continue;
+        } else if (errors.length > 0) {
+            reason = `invalid definition: ${errors.map(issue => `${issue.path} ${issue.msg}`).join('; ')}`;
+        } else if (!current) {
+            reason = 'not available on device';
+        } else if (current.len != cdi.len) {
+            reason = `length ${String(cdi.len)} differs from length on device ${String(current.len)}`;
+        } else if (JSON.stringify(normalizeCdi(current)) == JSON.stringify(normalizeCdi(cdi))) {
+            reason = 'no change';
+        } else if (current.codec != 'RawCodec' && !overwrite) {
+            reason = `existing definition ${current.codec} kept`;
+        }
+        if (reason) {
+            skipped.push({ did: Number(did), reason: reason });
+        } else {
+            result[did] = cdi;
+            merged.push(Number(did));
+        }
+    }
+    return { didsDevSpec: result, merged: merged, skipped: skipped };
+}
+
+module.exports = {
+    parseOpen3eDatapoints,
+    mergeOpen3eDids,
+};
@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * Tests for import of open3e datapoint definitions
+ *
+ * It's automatically excluded from npm and its build output is excluded from both git and npm.
+ * It is advised to test all your modules with accompanying *.test.js-files
+ */
+
+// tslint:disable:no-unused-expression
+
+const { expect } = require('@iobroker/testing/node_modules/chai');
+const open3eImport = require('./open3eImport');
+
+const src = `
+import Open3Ecodecs
+from Open3Ecodecs import *
+
+dataIdentifiers = {
+    "name":"Open3Edatapoints_680",
+    "dids" :
+    {
+        268 : O3EComplexType(9, "FlowTemperatureSensor", [O3EInt16(2, "Actual", signed=True), O3EByteVal(1, "Unknown")]),
+        381 : O3EEnum(1, "OperationMode", "OperationModes"),   # comment, e.g. "Mode"
+        1592 : O3EInt16(string_len=2, idStr="SomeTemp", scale=10.0, offset=0, signed=True),
+        2400 : O3EList(5, "Schedule", [O3EByteVal(1, "Count"), O3EComplexType(4, "Schedules", [O3EStime(2, "Start"), O3EStime(2, "Stop")])]),
+        2401 : None,
+        2402 : O3EInt16(2, "Shifted", 10.0, 2, True),
+        2403 : O3EComplexType(4, "Nested", [O3EByteVal(1, "A"), O3EByteVal(1, "B", offset=1)]),
+    }
+}
+`;
+
+describe('open3eImport.js => parseOpen3eDatapoints()', () => {
+    const parsed = open3eImport.parseOpen3eDatapoints(src);
+
+    it('converts positional and keyword arguments', () => {
+        expect(parsed.dids['381']).to.deep.equal({
+            codec: 'O3EEnum',
+            len: 1,
+            id: 'OperationMode',
+            args: { listStr: 'OperationModes' },
+        });
+        expect(parsed.dids['1592']).to.deep.equal({
+            codec: 'O3EInt16',
+            len: 2,
+            id: 'SomeTemp',
+            args: { scale: 10.0, signed: true },
+        });
+    });
+    it('rejects dids using a byte offset', () => {
+        expect(parsed.rejected).to.deep.equal([
+            { did: 2402, reason: 'byte offset 2 of O3EInt16 is not supported' },
+            { did: 2403, reason: 'byte offset 1 of O3EByteVal is not supported' },
+        ]);
+        expect(parsed.dids).to.not.have.property('2402');
+        expect(parsed.dids).to.not.have.property('2403');
+    });
+    it('converts nested sub types', () => {
+        expect(parsed.dids['268'].args.subTypes).to.deep.equal([
+            { codec: 'O3EInt16', len: 2, id: 'Actual', args: { scale: 1.0, signed: true } },
+            { codec: 'O3EByteVal', len: 1, id: 'Unknown', args: {} },
+        ]);
+        expect(parsed.dids['2400'].args.subTypes[1].args.subTypes[0]).to.deep.equal({
+            codec: 'O3EStime',
+            len: 2,
+            id: 'Start',
+            args: {},
+        });
+    });
+    it('reports dids set to None as removed', () => {
+        expect(parsed.removed).to.deep.equal(['2401']);
+        expect(parsed.dids).to.not.have.property('2401');
+    });
+    it('rejects files without datapoint definitions', () => {
+        expect(() => open3eImport.parseOpen3eDatapoints('x = 1')).to.throw('No dataIdentifiers["dids"] found');
+        expect(() => open3eImport.parseOpen3eDatapoints('dataIdentifiers = {"dids": {1: O3EInt8(1, "A")')).to.throw(
+            'Expected',
+        );
+    });
+});
+
+describe('open3eImport.js => mergeOpen3eDids()', () => {
+    const didsDevCom = {
+        Version: '20251102',
+        381: { codec: 'O3EEnum', len: 1, id: 'OperationMode', args: { listStr: 'OpModes' } },
+    };
+    const didsDevSpec = {
+        1592: { codec: 'RawCodec', len: 2, id: 'RawData', args: {} },
+        1593: { codec: 'O3EInt16', len: 2, id: 'OwnTemp', args: { scale: 10.0, signed: true } },
+        1594: { codec: 'RawCodec', len: 4, id: 'RawData', args: {} },
+    };
+    const int16 = { codec: 'O3EInt16', len: 2, id: 'Temp', args: { scale: 10.0, signed: true } };
+
+    it('replaces RawCodec placeholders and skips other dids', () => {
+        const didsImported = {
+            381: didsDevCom[381],
+            1592: int16,
+            1593: int16,
+            1594: int16,
+            1595: int16,
+            1596: { codec: 'O3EInt17', len: 2, id: 'Broken', args: {} },
+        };
+        const result = open3eImport.mergeOpen3eDids(didsDevCom, didsDevSpec, didsImported);
+        expect(result.merged).to.deep.equal([1592]);
+        expect(result.didsDevSpec[1592]).to.deep.equal(int16);
+        expect(result.didsDevSpec[1593].id).to.equal('OwnTemp');
+        expect(result.skipped).to.deep.equal([
+            { did: 381, reason: 'no change' },
+            { did: 1593, reason: 'existing definition O3EInt16 kept' },
+            { did: 1594, reason: 'length 2 differs from length on device 4' },
+            { did: 1595, reason: 'not available on device' },
+            { did: 1596, reason: 'invalid definition: Broken unknown codec "O3EInt17"' },
+        ]);
+        expect(didsDevSpec[1592].codec).to.equal('RawCodec');
+    });
+    it('compares definitions including default arguments', () => {
+        const didsImported = {
+            1593: { codec: 'O3EInt16', len: 2, id: 'OwnTemp', args: { signed: true, scale: 10.0, offset: 0 } },
+        };
+        const result = open3eImport.mergeOpen3eDids(didsDevCom, didsDevSpec, didsImported, true);
+        expect(result.merged).to.deep.equal([]);
+        expect(result.skipped).to.deep.equal([{ did: 1593, reason: 'no change' }]);
+        const defaults = open3eImport.mergeOpen3eDids(
+            didsDevCom,
+            { 1595: { codec: 'O3EInt8', len: 1, id: 'Val', args: {} } },
+            { 1595: { codec: 'O3EInt8', len: 1, id: 'Val', args: { scale: 1.0, signed: false } } },
+            true,
+        );
+        expect(defaults.skipped).to.deep.equal([{ did: 1595, reason: 'no change' }]);
+    });
+    it('replaces existing definitions on overwrite', () => {
+        const result = open3eImport.mergeOpen3eDids(didsDevCom, didsDevSpec, { 1593: int16 }, true);
+        expect(result.merged).to.deep.equal([1593]);
+        expect(result.didsDevSpec[1593]).to.deep.equal(int16);
+    });
+});
@@ -1,7 +1,24 @@
 const E3 = require('./codecs');
+const enums = require('./enums');
 const E3DidsDict = require('./didsE3.json');
 const E380DidsDict = require('./didsE380.json');
 const E3100CBDidsDict = require('./didsE3100CB.json');
+const didsSchema = require('./didsSchema');
+
+// Roles of states derived from unit, if not given by definition of did
+const unitRoles = {
+    '°C': 'value.temperature',
+    K: 'value.temperature',
+    W: 'value.power',
+    kW: 'value.power',
+    var: 'value.power.reactive',
+    Wh: 'value.power.consumption',
+    kWh: 'value.power.consumption',
+    MWh: 'value.power.consumption',
+    V: 'value.voltage',
+    A: 'value.current',
+    bar: 'value.pressure',
+};
 
 /**
  *  Perform data storage for specific DID from and to ioBroker objects data base
@@ -15,14 +32,17 @@ class storageDids {
         this.didsWritablesId = 'udsDidsWritable';
         this.didsCommonId = 'udsDidsCommon';
         this.didsSpecId = 'udsDidsSpecific';
+        this.didsOverridesId = 'udsDidsOverrides';
         this.didsE380Id = 'didsE380';
         this.didsE3100cbId = 'didsE3100CB';
         this.didsWritable = {};
         this.didsDictE3 = {}; // Common dids imported from project open3e
         this.didsDictDevCom = {}; // Dids of this device matching the E3 common list
         this.didsDictDevSpec = {}; // Dids specific for this device
+        this.didsDictOverrides = {}; // Dids defined by user. Take precedence and are never touched by updates
         this.dids = {}; // Consolidated list of dids available for this device
         this.didsDevSpecAvail = false; // true, if device specific dids are available
+        this.objectsUpdated = new Set(); // States with properties given by definition of did updated since start
     }
     /**
      * Setup states in ioBroker object tree
@@ -99,6 +119,18 @@ class storageDids {
                         native: {},
                     });
             }
+            await ctx.setObjectNotExistsAsync(`${this.config.stateBase}.info.${this.didsOverridesId}`, {
+                type: 'state',
+                common: {
+                    name: `${this.config.stateBase} datapoints defined by user overriding all other definitions`,
+                    role: 'state',
+                    type: 'json',
+                    read: true,
+                    write: true,
+                    def: JSON.stringify({}),
+                },
+                native: {},
+            });
         }
     }
     /**
@@ -208,6 +240,63 @@ class storageDids {
                     this.dids = await this.mergeDids(this.didsDictDevCom, this.didsDictDevSpec);
                 }
         }
+        if (!['udsDevScan', 'udsDidScan'].includes(opMode)) {
+            // User defined dids take precedence over common and device specific dids
+            try {
+                const baseId = `${this.config.stateBase}.info.`;
+                this.didsDictOverrides = await JSON.parse((await ctx.getStateAsync(baseId + this.didsOverridesId)).val);
+            } catch {
+                this.didsDictOverrides = {};
+            }
+            if (this.didsDictOverrides === null || typeof this.didsDictOverrides != 'object') {
+                this.didsDictOverrides = {};
+            }
+            this.dids = await this.mergeDids(this.dids, this.didsDictOverrides);
+        }
+    }
+
+    /**
+     * Check definitions of DIDs and report issues to log. Returns number of errors found.
+     *
+     * @param {object} ctx  Caller context
+     * @param {object} dids  Dictionary of did definitions
+     * @param {string} name  Name of dictionary, e.g. id of state
+     * @param {boolean} reportWarnings  Report warnings in addition to errors
+     */
+    checkDids(ctx, dids, name, reportWarnings = true) {
+        let cntErrors = 0;
+        for (const issue of didsSchema.validateDids(dids)) {
+            const txt = `Definition of did ${issue.did} ${issue.path} in ${this.config.stateBase}.info.${name}: ${issue.msg}`;
+            if (issue.severity == 'error') {
+                cntErrors += 1;
+                ctx.log.error(txt);
+            } else if (reportWarnings) {
+                ctx.log.warn(txt);
+            }
+        }
+        return cntErrors;
+    }
+
+    /**
+     * Check definitions of known DIDs of this device and report issues to log. Returns number of errors found.
+     * Warnings are reported for device specific and user defined dids only.
+     *
+     * @param {object} ctx  Caller context
+     */
+    checkKnownDids(ctx) {
+        const cntErrors = this.checkDids(ctx, this.didsDictOverrides, this.didsOverridesId);
+        switch (this.config.device) {
+            case 'e380':
+                return cntErrors + this.checkDids(ctx, this.didsDictDevCom, this.didsE380Id, false);
+            case 'e3100cb':
+                return cntErrors + this.checkDids(ctx, this.didsDictDevCom, this.didsE3100cbId, false);
+            default:
+                return (
+                    cntErrors +
+                    this.checkDids(ctx, this.didsDictDevCom, this.didsCommonId, false) +
+                    this.checkDids(ctx, this.didsDictDevSpec, this.didsSpecId)
+                );
+        }
     }
 
     /**
@@ -297,6 +386,114 @@ class storageDids {
         return didStr;
     }
 
+    /**
+     * Return name of DID as used in state ids
+     *
+     * @param {object} ctx  Caller context
+     * @param {object} cdi  contect of codec
+     */
+    getIdStr(ctx, cdi) {
+        // No FORBIDDEN_CHARS and no '.' in state allowed:
+        return cdi.id.replace(ctx.FORBIDDEN_CHARS, '_').replace('.', '_');
+    }
+
+    /**
+     * Return constraints for writing DID per field path ('' for the value itself).
+     * Entry of list of writable dids is either the name of the DID or an object, e.g.
+     * { "name": "DomesticHotWaterTemperatureSetpoint", "min": 10, "max": 60, "step": 0.5 } or
+     * { "name": "MixerOneCircuitOperationState", "fields": { "Mode": { "enum": [0, 1] }, "State": { "readOnly": true } } }
+     *
+     * @param {number} did  DID
+     */
+    getWriteConstraints(did) {
+        const entry = this.didsWritable[did];
+        const constraints = {};
+        if (entry !== null && typeof entry == 'object') {
+            const valConstraints = {};
+            for (const [key, val] of Object.entries(entry)) {
+                if (!['name', 'fields'].includes(key)) {
+                    valConstraints[key] = val;
+                }
+            }
+            if (Object.keys(valConstraints).length > 0) {
+                constraints[''] = valConstraints;
+            }
+            Object.assign(constraints, entry.fields || {});
+        }
+        return constraints;
+    }
+
+    /**
+     * Return all values found at field path. Lists are evaluated element by element.
+     *
+     * @param {any} val  Decoded value of DID
+     * @param {Array} keys  Field path split into keys, e.g. ['Schedules', 'Mode']
+     */
+    getFieldVals(val, keys) {
+        if (Array.isArray(val)) {
+            return val.flatMap(itm => this.getFieldVals(itm, keys));
+        }
+        if (keys.length == 0) {
+            return [val];
+        }
+        if (val !== null && typeof val == 'object' && keys[0] in val) {
+            return this.getFieldVals(val[keys[0]], keys.slice(1));
+        }
+        return [undefined];
+    }
+
+    /**
+     * Check value to be written against constraints of list of writable dids. Returns list of violations.
+     *
+     * @param {number} did  DID
+     * @param {any} val  Decoded value to be written
+     * @param {any} valCur  Decoded value actually stored (null, if not known)
+     */
+    checkWriteConstraints(did, val, valCur) {
+        const violations = [];
+        for (const [path, cons] of Object.entries(this.getWriteConstraints(did))) {
+            const keys = path == '' ? [] : path.split('.');
+            const label = path == '' ? 'value' : path;
+            const vals = this.getFieldVals(val, keys);
+            if (cons.readOnly) {
+                if (valCur === null || JSON.stringify(vals) != JSON.stringify(this.getFieldVals(valCur, keys))) {
+                    violations.push(`${label} is read-only`);
+                }
+                continue;
+            }
+            for (const v of vals) {
+                // Enums are checked by ID
+                const num = v !== null && typeof v == 'object' && 'ID' in v ? v.ID : v;
+                if (num === undefined) {
+                    violations.push(`${label} is missing`);
+                    continue;
+                }
+                if (Array.isArray(cons.enum) && !cons.enum.includes(num)) {
+                    violations.push(`${label}=${JSON.stringify(num)} is not one of ${JSON.stringify(cons.enum)}`);
+                }
+                if (['min', 'max', 'step'].some(key => key in cons)) {
+                    if (typeof num != 'number' || isNaN(num)) {
+                        violations.push(`${label}=${JSON.stringify(num)} is not a number`);
+                        continue;
+                    }
+                    if ('min' in cons && num < Number(cons.min)) {
+                        violations.push(`${label}=${String(num)} is below min ${String(cons.min)}`);
+                    }
+                    if ('max' in cons && num > Number(cons.max)) {
+                        violations.push(`${label}=${String(num)} is above max ${String(cons.max)}`);
+                    }
+                    if ('step' in cons && Number(cons.step) > 0) {
+                        const steps = (num - Number(cons.min || 0)) / Number(cons.step);
+                        if (Math.abs(steps - Math.round(steps)) > 1e-6) {
+                            violations.push(`${label}=${String(num)} does not match step ${String(cons.step)}`);
+                        }
+                    }
+                }
+            }
+        }
+        return violations;
+    }
+
     /**
      * Return structure of definition of DID
      *
@@ -343,6 +540,65 @@ class storageDids {
         return val;
     }
 
+    /**
+     * Return definition of member of decoded value, e.g. sub type of O3EComplexType or field of O3EBitfield
+     *
+     * @param {any} cdi  Definition of codec of decoded value
+     * @param {any} val  Decoded value
+     * @param {string} key  Key of member
+     */
+    getMemberCdi(cdi, val, key) {
+        if (!cdi) {
+            return null;
+        }
+        if (Array.isArray(val) || this.getListStr(cdi)) {
+            // Entries of O3EList and O3EArray as well as ID and Text of enums share the definition
+            return cdi;
+        }
+        const args = cdi.args || {};
+        const members = Array.isArray(args.subTypes) ? args.subTypes : Array.isArray(args.bits) ? args.bits : [];
+        return members.find(member => member && member.id == key) || null;
+    }
+
+    /**
+     * Return name of enum list of codec, if any
+     *
+     * @param {any} cdi  Definition of codec or field of O3EBitfield
+     */
+    getListStr(cdi) {
+        return cdi.codec == 'O3EEnum' && cdi.args ? cdi.args.listStr : cdi.listStr;
+    }
+
+    /**
+     * Return properties of state given by definition of did: name, desc, unit, role, min, max and states of enums.
+     * Name may be given as string or as object of translations, e.g. { "en": "Flow temperature", "de": "Vorlauftemperatur" }
+     *
+     * @param {any} cdi  Definition of codec of value
+     * @param {string} key  Key of state within its parent, e.g. ID or Text for enums
+     */
+    getStateCommon(cdi, key) {
+        const common = {};
+        if (!cdi) {
+            return common;
+        }
+        const listStr = this.getListStr(cdi);
+        if (listStr && key == 'Text') {
+            return common;
+        }
+        if (listStr && key == 'ID' && listStr in enums.enums) {
+            common.states = { ...enums.enums[listStr] };
+        }
+        for (const prop of ['name', 'desc', 'unit', 'role', 'min', 'max']) {
+            if (prop in cdi) {
+                common[prop] = cdi[prop];
+            }
+        }
+        if (!('role' in cdi) && cdi.unit in unitRoles) {
+            common.role = unitRoles[cdi.unit];
+        }
+        return common;
+    }
+
     /**
      * Store content of DID to data base
      *
@@ -351,42 +607,42 @@ class storageDids {
      * @param {string} idStr  DID string
      * @param {string} stateId  id of affected state
      * @param {object} obj  DIDs content
-     * @param {string} type  Type of content (number or object)
+     * @param {string} type  Type of content (number, boolean or object)
      * @param {string} role  role of object
      * @param {boolean} forceExtendObject  Force to override object data
+     * @param {object} common  Properties of state given by definition of did, see getStateCommon()
+     * @param {number} [ts]  Timestamp of state (ms). Actual time, if not given.
      */
-    async storeObject(ctx, did, idStr, stateId, obj, type, role, forceExtendObject = false) {
+    async storeObject(ctx, did, idStr, stateId, obj, type, role, forceExtendObject = false, common = {}, ts = 0) {
         try {
-            if (forceExtendObject) {
-                // Override object properties, e.g. data type
+            const objCommon = {
+                name: idStr,
+                type: type,
+                role: role,
+                read: true,
+                write: true,
+                ...common,
+            };
+            if (forceExtendObject || (Object.keys(common).length > 0 && !this.objectsUpdated.has(stateId))) {
+                // Override object properties, e.g. data type or properties changed in definition of did
                 await ctx.extendObject(stateId, {
                     type: 'state',
-                    common: {
-                        name: idStr,
-                        type: type,
-                        role: role,
-                        read: true,
-                        write: true,
-                    },
+                    common: objCommon,
                     native: {},
                 });
+                this.objectsUpdated.add(stateId);
             } else {
                 await ctx.setObjectNotExistsAsync(stateId, {
                     type: 'state',
-                    common: {
-                        name: idStr,
-                        type: type,
-                        role: role,
-                        read: true,
-                        write: true,
-                    },
+                    common: objCommon,
                     native: {},
                 });
             }
-            if (type == 'number') {
-                await ctx.setStateAsync(stateId, obj, true);
+            const val = type == 'number' || type == 'boolean' ? obj : JSON.stringify(obj);
+            if (ts) {
+                await ctx.setStateAsync(stateId, { val: val, ack: true, ts: ts });
             } else {
-                await ctx.setStateAsync(stateId, JSON.stringify(obj), true);
+                await ctx.setStateAsync(stateId, val, true);
             }
         } catch (e) {
             ctx.log.error(`Storing of did ${stateId}.${String(did)} failed. err=${e.message}`);
@@ -401,9 +657,10 @@ class storageDids {
      * @param {string} idStr  DID string
      * @param {string} stateId  id of affected state
      * @param {object} obj  DIDs content
+     * @param {number} [ts]  Timestamp of state (ms). Actual time, if not given.
      */
-    async storeObjectJson(ctx, did, idStr, stateId, obj) {
-        await this.storeObject(ctx, did, idStr, stateId, obj, 'string', 'json');
+    async storeObjectJson(ctx, did, idStr, stateId, obj, ts = 0) {
+        await this.storeObject(ctx, did, idStr, stateId, obj, 'string', 'json', false, {}, ts);
     }
 
     /**
@@ -415,8 +672,21 @@ class storageDids {
      * @param {string} stateId  id of affected state
      * @param {object} obj  DIDs content
      * @param {boolean} forceExtendObject  Force to override object data
+     * @param {any} cdi  Definition of codec of content. Used for name, unit, role etc. of states
+     * @param {string} memberKey  Key of content within its parent
+     * @param {number} [ts]  Timestamp of states (ms). Actual time, if not given.
      */
-    async storeObjectTree(ctx, did, idStr, stateId, obj, forceExtendObject = false) {
+    async storeObjectTree(
+        ctx,
+        did,
+        idStr,
+        stateId,
+        obj,
+        forceExtendObject = false,
+        cdi = null,
+        memberKey = '',
+        ts = 0,
+    ) {
         if (typeof obj == 'object') {
             if (Object.keys(obj).length <= 100) {
                 for (const [key, itm] of Object.entries(obj)) {
@@ -427,6 +697,9 @@ class storageDids {
                         `${String(stateId)}.${String(key).replace(ctx.FORBIDDEN_CHARS, '_').replace('.', '_')}`,
                         itm,
                         forceExtendObject,
+                        this.getMemberCdi(cdi, obj, key),
+                        key,
+                        ts,
                     );
                     // No FORBIDDEN_CHARS and no '.' in state id allowed
                 }
@@ -437,9 +710,25 @@ class storageDids {
                     )}`,
                 );
             }
+        } else if (typeof obj === 'boolean') {
+            // Flags, e.g. of bit fields
+            const common = this.getStateCommon(cdi, memberKey);
+            await this.storeObject(
+                ctx,
+                did,
+                idStr,
+                stateId,
+                obj,
+                'boolean',
+                'indicator',
+                forceExtendObject,
+                common,
+                ts,
+            );
         } else {
             const type = typeof obj === 'number' ? 'number' : 'string';
-            await this.storeObject(ctx, did, idStr, stateId, obj, type, 'state', forceExtendObject);
+            const common = this.getStateCommon(cdi, memberKey);
+            await this.storeObject(ctx, did, idStr, stateId, obj, type, 'state', forceExtendObject, common, ts);
         }
     }
 
@@ -461,8 +750,7 @@ class storageDids {
             ctx.log.warn(`Could not retreive codec for ${stateBase}.${String(did)}. err=${e.message}`);
             codec = 'RawCodec';
         }
-        // No FORBIDDEN_CHARS and no '.' in state allowed:
-        res.idStr = cdi.id.replace(ctx.FORBIDDEN_CHARS, '_').replace('.', '_');
+        res.idStr = this.getIdStr(ctx, cdi);
         try {
             res.val = await codec.decode(data);
         } catch (e) {
@@ -489,6 +777,9 @@ class storage {
         this.opModes = ['standby', 'udsDevScan', 'udsDidScan', 'normal', 'TEST', 'service77'];
         this.opMode = this.opModes[0];
         this.udsScanResult = null;
+        this.outputs = { tree: true, json: true, raw: true, ...this.config.outputs }; // Representations stored in mode normal
+        this.didVals = {}; // Last decoded value per did
+        this.didRaws = {}; // Last raw data per did
     }
 
     /**
@@ -617,8 +908,13 @@ class storage {
             const cdi = this.storageDids.dids[did]; // Infos about did codec
             try {
                 const codec = await new E3.O3Ecodecs[cdi.codec](cdi.len, cdi.id, cdi.args);
-                val = await codec.encode(data);
+                // Actual raw data is used by codecs changing parts of did only, e.g. O3EBitfield
+                val = await codec.encode(data, await this.getDidRaw(ctx, did));
             } catch (e) {
+                if (e instanceof E3.O3EEncodeError) {
+                    // Invalid value given by user. To be handled by caller.
+                    throw e;
+                }
                 await ctx.log.warn(
                     `encodeDataCAN(): Could not encode data for ${ctxWorker.config.stateBase}.${String(did)}. err=${
                         e.message
@@ -633,6 +929,64 @@ class storage {
         return val;
     }
 
+    /**
+     * Return decoded value of did actually known, e.g. for checking constraints on writing.
+     * Taken from last decoding or from json or raw state, depending on representations stored. Null, if not known.
+     *
+     * @param {object} ctx  Caller context
+     * @param {string} did  DID
+     */
+    async getDidVal(ctx, did) {
+        if (did in this.didVals) {
+            return this.didVals[did];
+        }
+        if (!(did in this.storageDids.dids)) {
+            return null;
+        }
+        const cdi = this.storageDids.dids[did];
+        const stateName = `${this.storageDids.getDidStr(did)}_${this.storageDids.getIdStr(ctx, cdi)}`;
+        if (this.outputs.json) {
+            return await this.storageDids.getObjectVal(ctx, `${this.config.stateBase}.json.${stateName}`);
+        }
+        if (this.outputs.raw) {
+            const raw = await this.storageDids.getObjectVal(ctx, `${this.config.stateBase}.raw.${stateName}`);
+            if (typeof raw == 'string' && raw.length == 2 * cdi.len) {
+                const res = await this.storageDids.decodeDid(
+                    ctx,
+                    this.config.stateBase,
+                    did,
+                    cdi,
+                    this.storageDids.toByteArray(raw),
+                );
+                return res.val;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Return raw data of did actually known (array of bytes), e.g. for changing parts of did only.
+     * Taken from last decoding or from raw state. Null, if not known.
+     *
+     * @param {object} ctx  Caller context
+     * @param {string} did  DID
+     */
+    async getDidRaw(ctx, did) {
+        if (did in this.didRaws) {
+            return this.didRaws[did];
+        }
+        if (!(did in this.storageDids.dids) || !this.outputs.raw) {
+            return null;
+        }
+        const cdi = this.storageDids.dids[did];
+        const stateName = `${this.storageDids.getDidStr(did)}_${this.storageDids.getIdStr(ctx, cdi)}`;
+        const raw = await this.storageDids.getObjectVal(ctx, `${this.config.stateBase}.raw.${stateName}`);
+        if (typeof raw == 'string' && raw.length == 2 * cdi.len) {
+            return this.storageDids.toByteArray(raw);
+        }
+        return null;
+    }
+
     /**
      * Decode CAN data for given did
      *
@@ -640,8 +994,10 @@ class storage {
      * @param {object} ctxWorker  Worker context
      * @param {string} did  DID
      * @param {Array} data  raw data
+     * @param {number} [ts]  Timestamp of CAN frame (ms) used for states. Actual time, if not given.
+     * @param {object} [decoded]  Result of decodeDid() on same data, if already available. Avoids decoding twice.
      */
-    async decodeDataCAN(ctx, ctxWorker, did, data) {
+    async decodeDataCAN(ctx, ctxWorker, did, data, ts = 0, decoded = null) {
         if (this.opMode == this.opModes[0]) {
             return;
         }
@@ -650,7 +1006,8 @@ class storage {
         if (did in this.storageDids.dids) {
             cdi = this.storageDids.dids[did]; // Infos about did codec
             if (cdi.len == data.length) {
-                const res = await this.storageDids.decodeDid(ctx, ctxWorker.config.stateBase, did, cdi, data);
+                const res =
+                    decoded || (await this.storageDids.decodeDid(ctx, ctxWorker.config.stateBase, did, cdi, data));
                 idStr = res.idStr;
                 val = res.val;
                 common = true;
@@ -713,15 +1070,45 @@ class storage {
                     if (ctxWorker.callback) {
                         await ctxWorker.callback(ctx, ctxWorker, ['ok', this.udsScanResult]);
                     }
-                    await this.storageDids.storeObjectTree(ctx, did, idStr, stateIdTree, val);
-                    await this.storageDids.storeObjectJson(ctx, did, idStr, stateIdJson, val);
-                    await this.storageDids.storeObjectJson(ctx, did, idStr, stateIdRaw, raw);
+                    await this.storageDids.storeObjectTree(
+                        ctx,
+                        did,
+                        idStr,
+                        stateIdTree,
+                        val,
+                        false,
+                        common ? cdi : null,
+                        '',
+                        ts,
+                    );
+                    await this.storageDids.storeObjectJson(ctx, did, idStr, stateIdJson, val, ts);
+                    await this.storageDids.storeObjectJson(ctx, did, idStr, stateIdRaw, raw, ts);
                     await this.storeStatistics(ctx, ctxWorker, false);
                     break;
                 case this.opModes[3]: // 'normal'
-                    await this.storageDids.storeObjectTree(ctx, did, idStr, stateIdTree, val);
-                    await this.storageDids.storeObjectJson(ctx, did, idStr, stateIdJson, val);
-                    await this.storageDids.storeObjectJson(ctx, did, idStr, stateIdRaw, raw);
+                    if (common) {
+                        this.didVals[did] = val;
+                        this.didRaws[did] = data;
+                    }
+                    if (this.outputs.tree) {
+                        await this.storageDids.storeObjectTree(
+                            ctx,
+                            did,
+                            idStr,
+                            stateIdTree,
+                            val,
+                            false,
+                            common ? cdi : null,
+                            '',
+                            ts,
+                        );
+                    }
+                    if (this.outputs.json) {
+                        await this.storageDids.storeObjectJson(ctx, did, idStr, stateIdJson, val, ts);
+                    }
+                    if (this.outputs.raw) {
+                        await this.storageDids.storeObjectJson(ctx, did, idStr, stateIdRaw, raw, ts);
+                    }
                     await this.storeStatistics(ctx, ctxWorker, false);
                     break;
                 case this.opModes[4]: // 'TEST'
@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * Tests for storage of data points
+ *
+ * It's automatically excluded from npm and its build output is excluded from both git and npm.
+ * It is advised to test all your modules with accompanying *.test.js-files
+ */
+
+// tslint:disable:no-unused-expression
+
+const { expect } = require('@iobroker/testing/node_modules/chai');
+const storage = require('./storage');
+
+describe('storage.js => write constraints', () => {
+    const storageDids = new storage.storageDids({ stateBase: 'vitocal', device: 'common' });
+    storageDids.didsWritable = {
+        396: { name: 'DomesticHotWaterTemperatureSetpoint', min: 10, max: 60, step: 0.5 },
+        1415: {
+            name: 'MixerOneCircuitOperationState',
+            fields: { Mode: { enum: [0, 1, 2] }, State: { readOnly: true } },
+        },
+        2009: { name: 'MixerOneCircuitTimeSchedule', fields: { 'Schedules.Mode': { min: 0, max: 3 } } },
+        1100: 'CentralHeatingOneCircuitName',
+    };
+
+    it('returns no constraints for entries given by name only', () => {
+        expect(storageDids.getWriteConstraints(1100)).to.deep.equal({});
+        expect(storageDids.checkWriteConstraints(1100, 'anything', null)).to.deep.equal([]);
+    });
+    it('checks min, max and step of scalar value', () => {
+        expect(storageDids.checkWriteConstraints(396, 45.5, null)).to.deep.equal([]);
+        expect(storageDids.checkWriteConstraints(396, 450, null)).to.deep.equal(['value=450 is above max 60']);
+        expect(storageDids.checkWriteConstraints(396, 4.5, null)).to.deep.equal(['value=4.5 is below min 10']);
+        expect(storageDids.checkWriteConstraints(396, 45.2, null)).to.deep.equal([
+            'value=45.2 does not match step 0.5',
+        ]);
+        expect(storageDids.checkWriteConstraints(396, '45', null)).to.deep.equal(['value="45" is not a number']);
+    });
+    it('checks enum ids and read-only fields', () => {
+        const valCur = { Mode: { ID: 1, Text: 'Heating' }, State: { ID: 0, Text: 'Off' } };
+        const val = { Mode: { ID: 2, Text: 'Heating' }, State: { ID: 0, Text: 'Off' } };
+        expect(storageDids.checkWriteConstraints(1415, val, valCur)).to.deep.equal([]);
+        val.Mode.ID = 5;
+        val.State.ID = 1;
+        expect(storageDids.checkWriteConstraints(1415, val, valCur)).to.deep.equal([
+            'Mode=5 is not one of [0,1,2]',
+            'State is read-only',
+        ]);
+        expect(storageDids.checkWriteConstraints(1415, valCur, null)).to.deep.equal(['State is read-only']);
+    });
+    it('checks fields of each list entry', () => {
+        const val = { Count: 2, Schedules: [{ Mode: 1 }, { Mode: 4 }] };
+        expect(storageDids.checkWriteConstraints(2009, val, null)).to.deep.equal(['Schedules.Mode=4 is above max 3']);
+        expect(storageDids.checkWriteConstraints(2009, { Count: 0, Schedules: [] }, null)).to.deep.equal([]);
+        expect(storageDids.checkWriteConstraints(2009, { Count: 1 }, null)).to.deep.equal(['Schedules.Mode is missing']);
+    });
+});
+
+describe('storage.js => tree format', () => {
+    it('stores flags as boolean indicator states', async () => {
+        const storageDids = new storage.storageDids({ stateBase: 'vitocal', device: 'common' });
+        const objects = {};
+        const states = {};
+        const ctx = {
+            FORBIDDEN_CHARS: /[^._\-/ :!#$%&()+=@^{}|~\p{Ll}\p{Lu}\p{Nd}]+/gu,
+            log: { error: () => {} },
+            setObjectNotExistsAsync: async (id, obj) => {
+                objects[id] = obj;
+            },
+            setStateAsync: async (id, val) => {
+                states[id] = val;
+            },
+        };
+        await storageDids.storeObjectTree(ctx, '2351', 'HeatPumpStatus', 'vitocal.tree.2351', {
+            PumpOn: true,
+            Stage: 5,
+        });
+        expect(objects['vitocal.tree.2351.PumpOn'].common).to.include({ type: 'boolean', role: 'indicator' });
+        expect(states['vitocal.tree.2351.PumpOn']).to.equal(true);
+        expect(objects['vitocal.tree.2351.Stage'].common).to.include({ type: 'number', role: 'state' });
+    });
+});
+
+describe('storage.js => user overrides of dids', () => {
+    const int16 = { codec: 'O3EInt16', len: 2, id: 'Corrected', args: { scale: 10.0, signed: true } };
+    const stateVals = {
+        'vitocal.info.udsDidsWritable': {},
+        'vitocal.info.udsDidsCommon': {
+            Version: '20240101',
+            268: { codec: 'RawCodec', len: 2, id: 'Common', args: {} },
+            269: { codec: 'RawCodec', len: 2, id: 'Common', args: {} },
+        },
+        'vitocal.info.udsDidsSpecific': { 268: { codec: 'RawCodec', len: 2, id: 'Specific', args: {} } },
+        'vitocal.info.udsDidsOverrides': { 268: int16, 65000: int16 },
+    };
+    const ctx = {
+        udsDidForScan: 256,
+        getStateAsync: async id => (id in stateVals ? { val: JSON.stringify(stateVals[id]) } : null),
+    };
+
+    it('take precedence over common and device specific dids', async () => {
+        const storageDids = new storage.storageDids({ stateBase: 'vitocal', device: 'common' });
+        await storageDids.readKnownDids(ctx, 'standby');
+        expect(storageDids.dids[268]).to.deep.equal(int16);
+        expect(storageDids.dids[269].id).to.equal('Common');
+        expect(storageDids.dids[65000]).to.deep.equal(int16);
+        expect(storageDids.didsDictDevSpec[268].id).to.equal('Specific');
+    });
+    it('are not applied during dids scan', async () => {
+        const storageDids = new storage.storageDids({ stateBase: 'vitocal', device: 'common' });
+        await storageDids.readKnownDids(ctx, 'udsDidScan');
+        expect(storageDids.dids).to.not.have.property('65000');
+    });
+    it('are not written on storage of known dids', async () => {
+        const storageDids = new storage.storageDids({ stateBase: 'vitocal', device: 'common' });
+        await storageDids.readKnownDids(ctx, 'standby');
+        const written = [];
+        await storageDids.storeKnownDids({ setStateAsync: async id => written.push(id) });
+        expect(written).to.not.include('vitocal.info.udsDidsOverrides');
+    });
+});
+
+describe('storage.js => properties of states given by definition of did', () => {
+    const objects = {};
+    const ctx = {
+        FORBIDDEN_CHARS: /[^._\-/ :!#$%&()+=@^{}|~\p{Ll}\p{Lu}\p{Nd}]+/gu,
+        log: { error: () => {} },
+        setObjectNotExistsAsync: async (id, obj) => {
+            objects[id] = obj;
+        },
+        extendObject: async (id, obj) => {
+            objects[id] = obj;
+        },
+        setStateAsync: async () => {},
+    };
+    const cdi = {
+        codec: 'O3EComplexType',
+        len: 5,
+        id: 'FlowTemperatureSensor',
+        args: {
+            subTypes: [
+                {
+                    codec: 'O3EInt16',
+                    len: 2,
+                    id: 'Actual',
+                    args: { scale: 10.0, signed: true },
+                    unit: '°C',
+                    name: { en: 'Flow temperature', de: 'Vorlauftemperatur' },
+                },
+                { codec: 'O3EInt16', len: 2, id: 'Energy', args: { scale: 1.0 }, unit: 'kWh', role: 'value.energy' },
+                { codec: 'O3EEnum', len: 1, id: 'Mode', args: { listStr: 'OpModes' } },
+            ],
+        },
+    };
+
+    it('applies name, unit, role and states of enums in tree format', async () => {
+        const storageDids = new storage.storageDids({ stateBase: 'vitocal', device: 'common' });
+        const val = { Actual: 21.5, Energy: 100, Mode: { ID: 1, Text: 'Heating' } };
+        await storageDids.storeObjectTree(ctx, '268', 'FlowTemperatureSensor', 'vitocal.tree.268', val, false, cdi);
+        expect(objects['vitocal.tree.268.Actual'].common).to.include({ unit: '°C', role: 'value.temperature' });
+        expect(objects['vitocal.tree.268.Actual'].common.name).to.deep.equal(cdi.args.subTypes[0].name);
+        expect(objects['vitocal.tree.268.Energy'].common).to.include({ unit: 'kWh', role: 'value.energy' });
+        expect(objects['vitocal.tree.268.Mode.ID'].common.states).to.deep.equal(
+            require('./enums').enums.OpModes,
+        );
+        expect(objects['vitocal.tree.268.Mode.Text'].common).to.include({ name: 'FlowTemperatureSensor', role: 'state' });
+    });
+    it('keeps defaults without definition', async () => {
+        const storageDids = new storage.storageDids({ stateBase: 'vitocal', device: 'common' });
+        await storageDids.storeObjectTree(ctx, '269', 'Other', 'vitocal.tree.269', { Actual: 1 });
+        expect(objects['vitocal.tree.269.Actual'].common).to.deep.equal({
+            name: 'Other',
+            type: 'number',
+            role: 'state',
+            read: true,
+            write: true,
+        });
+    });
+    it('applies units of energy meter E380', async () => {
+        const storageDids = new storage.storageDids({ stateBase: 'e380', device: 'e380' });
+        const E380 = require('./didsE380.json');
+        const val = { ImportCumulated: 1234.5, ExportCumulated: 12.5 };
+        await storageDids.storeObjectTree(ctx, '600', 'GridEnergy', 'e380.tree.600', val, false, E380[600]);
+        expect(objects['e380.tree.600.ImportCumulated'].common).to.include({
+            unit: 'kWh',
+            role: 'value.power.consumption',
+        });
+    });
+});
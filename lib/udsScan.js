@@ -82,7 +82,7 @@ class udsScan {
                 break;
             case 'timeout':
                 if (ctxWorker.stat.cntCommTimeout < ctx.udsScanWorker.udsMaxTrialsDevScan) {
-                    await ctxWorker.pushCmnd(ctx, 'read', [ctx.udsDidForScan]);
+                    await ctxWorker.pushCmnd(ctx, 'read', [ctx.udsDidForScan], 'scan');
                     ctx.udsScanWorker.udsScanDidsCntRetries += 1;
                 }
                 await ctx.log.silly(`UDS Scan: ${String(ctxWorker.canIDhex)} ${response}`);
@@ -90,7 +90,7 @@ class udsScan {
             default:
                 await ctx.log.silly(`UDS Scan: ${String(ctxWorker.canIDhex)} ${response}`);
         }
-        if (ctxWorker.cmndsQueue.length == 0) {
+        if (ctxWorker.cntCmnds() == 0) {
             await ctxWorker.setCallback(null); // Scan worker completed. Reset callback.
             ctx.udsScanWorker.cntUdsScansActive -= 1;
         }
@@ -157,7 +157,7 @@ class udsScan {
                     if (
                         ctxWorker.stat.cntCommFailedPerDid[ctxWorker.data.did] < ctx.udsScanWorker.udsMaxTrialsDidScan
                     ) {
-                        ctxWorker.pushCmnd(ctx, 'read', [ctxWorker.data.did]);
+                        ctxWorker.pushCmnd(ctx, 'read', [ctxWorker.data.did], 'scan');
                         ctx.udsScanWorker.udsScanDidsCntRetries += 1;
                     }
                     break;
@@ -229,7 +229,7 @@ class udsScan {
         await udsWorker.initStates(ctx, 'udsDevScan');
         await udsWorker.setCallback(this.scanDevCallback);
         await this.startupUdsWorker(ctx, udsWorker, 'udsDevScan');
-        await udsWorker.pushCmnd(ctx, 'read', [ctx.udsDidForScan]);
+        await udsWorker.pushCmnd(ctx, 'read', [ctx.udsDidForScan], 'scan');
         this.cntUdsScansActive += 1;
     }
 
@@ -255,6 +255,7 @@ class udsScan {
 
         const canExtActivated = ctx.config.canExtActivated;
         const canExtName = ctx.config.canExtName;
+        const canExtTransport = ctx.config.canExtTransport;
 
         // Startup CAN:
         if (canExtActivated) {
@@ -262,7 +263,13 @@ class udsScan {
                 // CAN is different from running CAN. Stop actual CAN first.
                 [ctx.channelExt, ctx.channelExtName] = await ctx.disconnectFromCan(ctx.channelExt, ctx.channelExtName);
             }
-            [ctx.channelExt, ctx.channelExtName] = await ctx.connectToCan(ctx.channelExt, canExtName, ctx.onCanMsgExt);
+            [ctx.channelExt, ctx.channelExtName] = await ctx.connectToCan(
+                ctx.channelExt,
+                canExtName,
+                ctx.onCanMsgExt,
+                ctx.onCanExtStopped,
+                canExtTransport,
+            );
             if (!ctx.channelExt) {
                 await ctx.log.error(`UDS device scan: Could not connect to CAN Adapter ${canExtName}. Aborting.`);
                 return false;
@@ -346,7 +353,7 @@ class udsScan {
         this.udsScanDidsCntTotal += dids.length;
         await this.startupUdsWorker(ctx, udsWorker, 'udsDidScan');
         this.cntUdsScansActive += 1;
-        await udsWorker.pushCmnd(ctx, 'read', dids);
+        await udsWorker.pushCmnd(ctx, 'read', dids, 'scan');
     }
 
     /**
@@ -0,0 +1,368 @@
+const canTransport = require('./canTransport');
+const E3DidsDict = require('./didsE3.json');
+
+/**
+ *  Virtual E3 device answering UDS requests on a CAN channel
+ *
+ *  Supported services:
+ *  - 0x22 ReadDataByIdentifier on one or more dids (single and multi frame response incl. flow control)
+ *  - 0x2E WriteDataByIdentifier (single and multi frame request incl. flow control)
+ *  - 0x77 Viessmann specific write service on device address + 2
+ *  Negative responses (0x7F) are sent for unknown dids, rejected writes and unsupported services.
+ */
+class udsSimulator {
+    /**
+     * @param {object} config  Simulator configuration:
+     *   canID: CAN id of requests, e.g. 0x680 (responses are sent on canID + 0x10),
+     *   channel: CAN channel offering send() and addListener(),
+     *   dids: Optional dict of did => array of bytes overriding seeded values,
+     *   writables: Optional list of dids writable via 0x2E (default: all),
+     *   writesIgnored: Optional list of dids confirming 0x2E and 0x77 requests without changing the value,
+     *   nrc: Optional dict of did => negative response code for any request on this did,
+     *   nrcWrite: Negative response code for rejected 0x2E requests (default 0x22),
+     *   responsePending: Optional dict of did => number of responsePending (0x78) replies sent before the response,
+     *   pendingInterval: Time (ms) between responsePending replies (default 100),
+     *   multiDid: Accept 0x22 requests on multiple dids (default true),
+     *   sid77: Answer service 0x77 (default true),
+     *   stMin: Separation time (ms) requested in flow control frames (default 20),
+     *   frameGap: Delay (ms) before each response frame (default 1)
+     */
+    constructor(config) {
+        this.config = config;
+        this.canID = Number(config.canID);
+        this.channel = config.channel;
+        this.writables = config.writables ? config.writables.map(did => Number(did)) : null;
+        this.writesIgnored = (config.writesIgnored || []).map(did => Number(did));
+        this.nrc = config.nrc || {};
+        this.nrcWrite = config.nrcWrite === undefined ? 0x22 : config.nrcWrite;
+        this.responsePending = config.responsePending || {};
+        this.pendingInterval = config.pendingInterval === undefined ? 100 : config.pendingInterval;
+        this.multiDid = config.multiDid === undefined ? true : config.multiDid;
+        this.sid77 = config.sid77 === undefined ? true : config.sid77;
+        this.stMin = config.stMin === undefined ? 20 : config.stMin;
+        this.frameGap = config.frameGap === undefined ? 1 : config.frameGap;
+        this.dids = {};
+        this.sessions = {
+            [this.canID]: this.newSession(this.canID + 0x10),
+            [this.canID + 0x02]: this.newSession(this.canID + 0x12),
+        };
+        this.timeoutHandles = new Set();
+        this.requests = []; // Log of completed requests: { sid, did, data }
+        this.running = false;
+        this.listening = false;
+        this.seedDids(E3DidsDict);
+        for (const [did, val] of Object.entries(config.dids || {})) {
+            this.setDid(Number(did), val);
+        }
+    }
+
+    /**
+     * Return initial state of a UDS session
+     *
+     * @param {number} txId  CAN id for responses
+     * @returns {{ txId: number, rx: ?{ len: number, bytes: Array, sn: number }, tx: Array }} Session
+     */
+    newSession(txId) {
+        return {
+            txId: txId,
+            rx: null, // Multi frame request being received: { len, bytes, sn }
+            tx: [], // Consecutive frames waiting for flow control
+        };
+    }
+
+    /**
+     * Add dids of dictionary initialized with zero bytes
+     *
+     * @param {object} dict  Dids dictionary, e.g. didsE3.json
+     */
+    seedDids(dict) {
+        for (const [did, cdi] of Object.entries(dict)) {
+            if (!isNaN(Number(did)) && cdi && cdi.len > 0) {
+                this.dids[Number(did)] = Array(cdi.len).fill(0);
+            }
+        }
+    }
+
+    /**
+     * Set raw value of did
+     *
+     * @param {number} did  DID
+     * @param {Array} val  Array of bytes
+     */
+    setDid(did, val) {
+        this.dids[did] = Array.from(val);
+    }
+
+    /**
+     * Return raw value of did or undefined for unknown did
+     *
+     * @param {number} did  DID
+     */
+    getDid(did) {
+        return this.dids[did];
+    }
+
+    /**
+     * Start listening on CAN channel
+     */
+    start() {
+        if (!this.listening) {
+            this.channel.addListener('onMessage', this.onMessage, this);
+            this.listening = true;
+        }
+        this.running = true;
+    }
+
+    /**
+     * Stop answering requests
+     */
+    stop() {
+        this.running = false;
+        for (const handle of this.timeoutHandles) {
+            clearTimeout(handle);
+        }
+        this.timeoutHandles.clear();
+        for (const session of Object.values(this.sessions)) {
+            session.rx = null;
+            session.tx = [];
+        }
+    }
+
+    /**
+     * Evaluate CAN frame received on channel
+     *
+     * @param {object} msg  CAN frame
+     */
+    onMessage(msg) {
+        if (!this.running || !(msg.id in this.sessions) || (msg.id != this.canID && !this.sid77)) {
+            return;
+        }
+        const session = this.sessions[msg.id];
+        const candata = Array.from(msg.data);
+        switch (candata[0] >> 4) {
+            case 0: {
+                // Single frame
+                const len = candata[0] & 0x0f;
+                session.rx = null;
+                this.onRequest(session, candata.slice(1, 1 + len));
+                break;
+            }
+            case 1: {
+                // First frame of multi frame request
+                const len = (candata[0] & 0x0f) * 256 + candata[1];
+                session.rx = { len: len, bytes: candata.slice(2), sn: 0x21 };
+                this.sendFrames(session.txId, [[0x30, 0x00, this.stMin, 0x55, 0x55, 0x55, 0x55, 0x55]]);
+                break;
+            }
+            case 2:
+                // Consecutive frame of multi frame request
+                if (!session.rx || candata[0] != session.rx.sn) {
+                    session.rx = null;
+                    break;
+                }
+                session.rx.bytes = session.rx.bytes.concat(candata.slice(1));
+                session.rx.sn = session.rx.sn == 0x2f ? 0x20 : session.rx.sn + 1;
+                if (session.rx.bytes.length >= session.rx.len) {
+                    const payload = session.rx.bytes.slice(0, session.rx.len);
+                    session.rx = null;
+                    this.onRequest(session, payload);
+                }
+                break;
+            case 3:
+                // Flow control for multi frame response
+                if (session.tx.length > 0) {
+                    const frames = session.tx;
+                    session.tx = [];
+                    this.sendFrames(session.txId, frames);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Evaluate complete UDS request and send response
+     *
+     * @param {object} session  UDS session
+     * @param {Array} payload  Request starting with service id
+     */
+    onRequest(session, payload) {
+        const sid = payload[0];
+        const did = payload[1] * 256 + payload[2];
+        this.requests.push({ sid: sid, did: did, data: payload.slice(3) });
+        if (session.txId != this.canID + 0x10) {
+            // Service 0x77 on device address + 2
+            if (sid == 0x77 && did in this.dids) {
+                // Payload: 77 DIDhi DIDlo 43 01 82 DIDlo DIDhi B0+len data
+                const val = payload.slice(9, 9 + payload[8] - 0xb0);
+                if (val.length == this.dids[did].length) {
+                    this.storeWrite(did, val);
+                    this.sendFrames(session.txId, [[0x04, 0x77, payload[1], payload[2], 0x44, 0x55, 0x55, 0x55]]);
+                }
+            }
+            return;
+        }
+        const cntPending = this.responsePending[did] || 0;
+        if (cntPending > 0) {
+            // Delay response and tell the client to keep waiting
+            for (let i = 0; i < cntPending; i++) {
+                this.later(i * this.pendingInterval, () => this.respond(session, [0x7f, sid, 0x78]));
+            }
+            this.later(cntPending * this.pendingInterval, () => this.processRequest(session, payload));
+            return;
+        }
+        this.processRequest(session, payload);
+    }
+
+    /**
+     * Execute UDS request received on device address and send response
+     *
+     * @param {object} session  UDS session
+     * @param {Array} payload  Request starting with service id
+     */
+    processRequest(session, payload) {
+        const sid = payload[0];
+        const did = payload[1] * 256 + payload[2];
+        if (did in this.nrc) {
+            this.respond(session, [0x7f, sid, this.nrc[did]]);
+            return;
+        }
+        switch (sid) {
+            case 0x22: {
+                // ReadDataByIdentifier. Reply contains all requested dids available on device.
+                if (payload.length > 3 && !this.multiDid) {
+                    this.respond(session, [0x7f, sid, 0x13]); // incorrectMessageLengthOrInvalidFormat
+                    break;
+                }
+                let reply = [0x62];
+                for (let pos = 1; pos + 1 < payload.length; pos += 2) {
+                    const didReq = payload[pos] * 256 + payload[pos + 1];
+                    if (didReq in this.dids) {
+                        reply = reply.concat([payload[pos], payload[pos + 1]], this.dids[didReq]);
+                    }
+                }
+                if (reply.length == 1) {
+                    this.respond(session, [0x7f, sid, 0x31]); // requestOutOfRange
+                    break;
+                }
+                this.respond(session, reply);
+                break;
+            }
+            case 0x2e: {
+                // WriteDataByIdentifier
+                const val = payload.slice(3);
+                if (!(did in this.dids)) {
+                    this.respond(session, [0x7f, sid, 0x31]); // requestOutOfRange
+                } else if (val.length != this.dids[did].length) {
+                    this.respond(session, [0x7f, sid, 0x13]); // incorrectMessageLengthOrInvalidFormat
+                } else if (this.writables && !this.writables.includes(did)) {
+                    this.respond(session, [0x7f, sid, this.nrcWrite]);
+                } else {
+                    this.storeWrite(did, val);
+                    this.respond(session, [0x6e, payload[1], payload[2]]);
+                }
+                break;
+            }
+            default:
+                this.respond(session, [0x7f, sid, 0x11]); // serviceNotSupported
+        }
+    }
+
+    /**
+     * Store value written by client, unless writes on did are ignored
+     *
+     * @param {number} did  DID
+     * @param {Array} val  Array of bytes
+     */
+    storeWrite(did, val) {
+        if (!this.writesIgnored.includes(did)) {
+            this.dids[did] = val;
+        }
+    }
+
+    /**
+     * Send UDS response as single frame or as multi frame using flow control
+     *
+     * @param {object} session  UDS session
+     * @param {Array} payload  Response starting with service id
+     */
+    respond(session, payload) {
+        const pad = frame => frame.concat(Array(8 - frame.length).fill(0x55));
+        if (payload.length <= 7) {
+            this.sendFrames(session.txId, [pad([payload.length].concat(payload))]);
+            return;
+        }
+        session.tx = [];
+        let sn = 0x21;
+        for (let pos = 6; pos < payload.length; pos += 7) {
+            session.tx.push(pad([sn].concat(payload.slice(pos, pos + 7))));
+            sn = sn == 0x2f ? 0x20 : sn + 1;
+        }
+        this.sendFrames(session.txId, [
+            [0x10 | (payload.length >> 8), payload.length & 0xff].concat(payload.slice(0, 6)),
+        ]);
+    }
+
+    /**
+     * Send frames one after the other
+     *
+     * @param {number} canID  CAN id
+     * @param {Array} frames  List of data frames
+     */
+    sendFrames(canID, frames) {
+        if (frames.length == 0) {
+            return;
+        }
+        this.later(this.frameGap, () => {
+            this.channel.send({ id: canID, ext: false, rtr: false, data: Buffer.from(frames[0]) });
+            this.sendFrames(canID, frames.slice(1));
+        });
+    }
+
+    /**
+     * Execute function after delay, unless simulator gets stopped before
+     *
+     * @param {number} milliseconds  Delay (ms)
+     * @param {Function} fn  Function to be executed
+     */
+    later(milliseconds, fn) {
+        if (!this.running) {
+            return;
+        }
+        const handle = setTimeout(() => {
+            this.timeoutHandles.delete(handle);
+            if (this.running) {
+                fn();
+            }
+        }, milliseconds);
+        this.timeoutHandles.add(handle);
+    }
+}
+
+module.exports = {
+    udsSimulator,
+};
+
+if (require.main === module) {
+    // Stand-alone usage, e.g.: node lib/udsSimulator.js vcan0 0x680 0x6a1
+    const [name, ...addrs] = process.argv.slice(2);
+    if (!name || addrs.length == 0) {
+        console.log('Usage: node udsSimulator.js <CAN interface> <device address> [<device address> ...]');
+        process.exit(1);
+    }
+    const channel = canTransport.createChannel('socketcan', name);
+    channel.start();
+    for (const addr of addrs) {
+        const busAddress = Number(addr) - 0x680 + 1;
+        new udsSimulator({
+            canID: Number(addr),
+            channel: channel,
+            dids: {
+                // BusIdentification: HPMUMASTER with sw/hw version and VIN
+                256: [busAddress & 0xff, 0x02, 0x1f, 0x09, 0x14, 0x00, 0xfd, 0x01, 0x01, 0x09, 0xc0, 0x00, 0x02, 0x00]
+                    .concat([0x64, 0x02, 0x65, 0x00, 0x04, 0x00])
+                    .concat(Array.from(Buffer.from('7470628203307128'))),
+            },
+        }).start();
+        console.log(`UDS simulator answering on ${name} at ${addr}`);
+    }
+}
@@ -0,0 +1,474 @@
+'use strict';
+
+/**
+ * End-to-end tests of UDS communication using the virtual E3 device
+ *
+ * It's automatically excluded from npm and its build output is excluded from both git and npm.
+ * It is advised to test all your modules with accompanying *.test.js-files
+ */
+
+// tslint:disable:no-unused-expression
+
+const { expect } = require('@iobroker/testing/node_modules/chai');
+const canTransport = require('./canTransport');
+const uds = require('./canUds');
+const udsScan = require('./udsScan');
+const { udsSimulator } = require('./udsSimulator');
+const { mockAdapter: mockContext } = require('../test/mockAdapter');
+
+// Reply of did 256 (BusIdentification) as recorded from a Vitocal 250A
+const busIdentification = [0x01, 0x02, 0x1f, 0x09, 0x14, 0x00, 0xfd, 0x01, 0x01, 0x09, 0xc0, 0x00, 0x02, 0x00]
+    .concat([0x64, 0x02, 0x65, 0x00, 0x04, 0x00])
+    .concat(Array.from(Buffer.from('7470628203307128')));
+
+function mockAdapter(busName) {
+    // Adapter context connected to virtual CAN bus. Keeps states in memory.
+    const ctx = Object.assign(mockContext(), {
+        udsDidForScan: 256,
+        udsTimeDelta: 5,
+        udsDevices: [],
+        E3UdsWorkers: {},
+        E3UdsSID77Workers: {},
+        config: { tableUdsDevices: [], canExtActivated: true, canExtName: busName, canExtTransport: 'loopback' },
+        unsubscribeStates: () => {},
+        idToDCS: id => {
+            const [device, channel, state] = id.slice(ctx.namespace.length + 1).split('.');
+            return { device: device, channel: channel, state: state };
+        },
+        connectToCan: async channel => [channel, busName],
+        disconnectFromCan: async () => [null, ''],
+        onCanMsgExt: msg => {
+            for (const workers of [ctx.E3UdsWorkers, ctx.E3UdsSID77Workers, ctx.udsScanWorker.workers]) {
+                if (workers[msg.id]) {
+                    workers[msg.id].msgUds(ctx, msg);
+                }
+            }
+        },
+        onCanExtStopped: () => {},
+        udsScanWorker: new udsScan.udsScan(),
+        channelExt: canTransport.createChannel('loopback', busName),
+        channelExtName: busName,
+    });
+    ctx.channelExt.addListener('onMessage', ctx.onCanMsgExt, ctx);
+    ctx.channelExt.start();
+    return ctx;
+}
+
+function stateVal(ctx, id) {
+    return ctx.states[id] ? ctx.states[id].val : undefined;
+}
+
+async function waitFor(condition, timeout = 1500) {
+    const tsAbort = new Date().getTime() + timeout;
+    while (!condition() && new Date().getTime() < tsAbort) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('UDS simulator', () => {
+    let ctx, sim, channelSim, worker;
+
+    beforeEach(async () => {
+        ctx = mockAdapter('simbus');
+        channelSim = canTransport.createChannel('loopback', 'simbus');
+        channelSim.start();
+        sim = new udsSimulator({
+            canID: 0x680,
+            channel: channelSim,
+            writables: [396, 268],
+            dids: {
+                256: busIdentification,
+                268: [0x8c, 0x01, 0xc1, 0x00, 0x7a, 0x02, 0x7e, 0x01, 0x00],
+                396: [0xc2, 0x01],
+            },
+        });
+        sim.start();
+        worker = new uds.uds({
+            canID: 0x680,
+            stateBase: 'vitocal',
+            device: 'common',
+            delay: 0,
+            active: true,
+            channel: ctx.channelExt,
+            timeout: 1000,
+        });
+        await worker.initStates(ctx, 'standby');
+        await worker.startup(ctx, 'normal');
+        ctx.E3UdsWorkers[0x690] = worker;
+    });
+
+    afterEach(async () => {
+        for (const w of Object.values(ctx.E3UdsWorkers).concat(Object.values(ctx.E3UdsSID77Workers))) {
+            await w.stop(ctx);
+        }
+        sim.stop();
+        channelSim.stop();
+        ctx.channelExt.stop();
+    });
+
+    it('answers ReadByDid using single frame', async () => {
+        await worker.pushCmnd(ctx, 'read', [396]);
+        await waitFor(() => stateVal(ctx, 'vitocal.json.0396_DomesticHotWaterTemperatureSetpoint') !== undefined);
+        expect(stateVal(ctx, 'vitocal.json.0396_DomesticHotWaterTemperatureSetpoint')).to.equal('45');
+        expect(worker.stat.cntCommOk).to.equal(1);
+    });
+
+    it('answers ReadByDid using multi frame and flow control', async () => {
+        await worker.pushCmnd(ctx, 'read', [268, 256]);
+        await waitFor(() => stateVal(ctx, 'vitocal.raw.0256_BusIdentification') !== undefined);
+        expect(stateVal(ctx, 'vitocal.json.0268_FlowTemperatureSensor')).to.equal(
+            '{"Actual":39.6,"Minimum":19.3,"Maximum":63.4,"Average":38.2,"Unknown":0}',
+        );
+        expect(stateVal(ctx, 'vitocal.tree.0256_BusIdentification.VIN')).to.equal('"7470628203307128"');
+        expect(worker.stat.cntCommOk).to.equal(2);
+    });
+
+    it('sends negative response for unknown did', async () => {
+        await worker.pushCmnd(ctx, 'read', [9999]);
+        await waitFor(() => worker.stat.cntCommNR > 0);
+        expect(worker.stat.cntCommNR).to.equal(1);
+        expect(worker.stat.cntCommNRperCode).to.deep.equal({ requestOutOfRange: 1 });
+        expect(ctx.errors[0]).to.include('Code=0x31 (requestOutOfRange)');
+    });
+
+    it('keeps waiting on response pending', async () => {
+        worker.config.timeout = 250;
+        sim.responsePending = { 396: 4 };
+        await worker.pushCmnd(ctx, 'read', [396]);
+        await waitFor(() => worker.stat.cntCommOk > 0 || worker.stat.cntCommTimeout > 0);
+        expect(worker.stat.cntCommTimeout).to.equal(0);
+        expect(worker.stat.cntCommNR).to.equal(0);
+        expect(worker.stat.cntCommNRperCode).to.deep.equal({ responsePending: 4 });
+        expect(stateVal(ctx, 'vitocal.json.0396_DomesticHotWaterTemperatureSetpoint')).to.equal('45');
+    });
+
+    it('reads multiple dids with one request', async () => {
+        worker.readBatchSize = 10;
+        worker.storage.storageDids.didsDevSpecAvail = true;
+        await worker.pushCmnd(ctx, 'read', [268, 396, 256, 269]);
+        await waitFor(() => stateVal(ctx, 'vitocal.raw.0269_ReturnTemperatureSensor') !== undefined);
+        expect(sim.requests).to.have.length(1);
+        expect(sim.requests[0].sid).to.equal(0x22);
+        expect(stateVal(ctx, 'vitocal.json.0396_DomesticHotWaterTemperatureSetpoint')).to.equal('45');
+        expect(stateVal(ctx, 'vitocal.json.0268_FlowTemperatureSensor')).to.equal(
+            '{"Actual":39.6,"Minimum":19.3,"Maximum":63.4,"Average":38.2,"Unknown":0}',
+        );
+        expect(stateVal(ctx, 'vitocal.tree.0256_BusIdentification.VIN')).to.equal('"7470628203307128"');
+    });
+
+    it('falls back to single requests if reading multiple dids is rejected', async () => {
+        worker.readBatchSize = 10;
+        worker.storage.storageDids.didsDevSpecAvail = true;
+        sim.multiDid = false;
+        await worker.pushCmnd(ctx, 'read', [268, 396, 256, 269]);
+        await waitFor(() => stateVal(ctx, 'vitocal.raw.0269_ReturnTemperatureSensor') !== undefined);
+        expect(worker.readBatchSupported).to.equal(false);
+        expect(sim.requests.map(req => req.did)).to.deep.equal([268, 268, 396, 256, 269]);
+        expect(stateVal(ctx, 'vitocal.json.0396_DomesticHotWaterTemperatureSetpoint')).to.equal('45');
+    });
+
+    it('reads dids by single requests after transient failure of reading multiple dids', async () => {
+        worker.readBatchSize = 10;
+        worker.storage.storageDids.didsDevSpecAvail = true;
+        sim.nrc = { 268: 0x21 }; // busyRepeatRequest
+        await worker.pushCmnd(ctx, 'read', [268, 396, 256, 269]);
+        await waitFor(() => stateVal(ctx, 'vitocal.raw.0269_ReturnTemperatureSensor') !== undefined);
+        expect(worker.readBatchSupported).to.equal(true);
+        expect(sim.requests.map(req => req.did)).to.deep.equal([268, 268, 396, 256, 269]);
+        sim.requests = [];
+        await worker.pushCmnd(ctx, 'read', [396, 256, 269]);
+        await waitFor(() => sim.requests.length > 0 && worker.cntBatchFailed == 0);
+        expect(sim.requests).to.have.length(1);
+        expect(worker.readBatchSupported).to.equal(true);
+    });
+
+    it('accepts WriteByDid using single frame and multi frame', async () => {
+        await worker.pushCmnd(ctx, 'write', [[396, [0xe8, 0x01]]]);
+        await worker.pushCmnd(ctx, 'write', [[268, [1, 2, 3, 4, 5, 6, 7, 8, 9]]]);
+        await waitFor(() => worker.stat.cntCommOk == 2);
+        expect(sim.getDid(396)).to.deep.equal([0xe8, 0x01]);
+        expect(sim.getDid(268)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    });
+
+    it('falls back to service 77 when WriteByDid is rejected', async () => {
+        await worker.pushCmnd(ctx, 'write', [[256, busIdentification.map(() => 0x11)]]);
+        await waitFor(() => sim.requests.some(req => req.sid == 0x77), 2500);
+        await waitFor(() => ctx.E3UdsSID77Workers[0x692] && ctx.E3UdsSID77Workers[0x692].stat.cntCommOk > 0);
+        expect(worker.stat.cntCommNR).to.equal(1);
+        expect(ctx.E3UdsSID77Workers[0x692].stat.cntCommOk).to.equal(1);
+        expect(sim.getDid(256)).to.deep.equal(busIdentification.map(() => 0x11));
+    }).timeout(5000);
+
+    it('verifies WriteByDid by reading back the value', async () => {
+        worker.writeReadBackDelay = 50;
+        await worker.writeByDidVerified(ctx, 396, [0xe8, 0x01]);
+        await waitFor(() => stateVal(ctx, 'vitocal.cmnd.lastWriteResult') !== undefined);
+        expect(JSON.parse(stateVal(ctx, 'vitocal.cmnd.lastWriteResult'))).to.include({
+            did: 396,
+            result: 'ok',
+            fallback77: false,
+            sent: 'e801',
+            read: 'e801',
+        });
+        expect(stateVal(ctx, 'vitocal.json.0396_DomesticHotWaterTemperatureSetpoint')).to.equal('48.8');
+    });
+
+    it('reports mismatch if device ignores written value', async () => {
+        worker.writeReadBackDelay = 50;
+        sim.writesIgnored = [396];
+        await worker.writeByDidVerified(ctx, 396, [0xe8, 0x01]);
+        await waitFor(() => stateVal(ctx, 'vitocal.cmnd.lastWriteResult') !== undefined);
+        expect(JSON.parse(stateVal(ctx, 'vitocal.cmnd.lastWriteResult'))).to.include({
+            result: 'mismatch',
+            sent: 'e801',
+            read: 'c201',
+        });
+    });
+
+    it('reports negative response and timeout of WriteByDid', async () => {
+        worker.writeReadBackDelay = 50;
+        await worker.writeByDidVerified(ctx, 396, [0xe8, 0x01, 0x00]);
+        await waitFor(() => stateVal(ctx, 'vitocal.cmnd.lastWriteResult') !== undefined);
+        expect(JSON.parse(stateVal(ctx, 'vitocal.cmnd.lastWriteResult'))).to.include({
+            result: 'negativeResponse',
+            nrc: '0x13',
+            nrcName: 'incorrectMessageLengthOrInvalidFormat',
+        });
+        delete ctx.states['vitocal.cmnd.lastWriteResult'];
+        worker.config.timeout = 200;
+        sim.stop();
+        await worker.writeByDidVerified(ctx, 396, [0xe8, 0x01]);
+        await waitFor(() => stateVal(ctx, 'vitocal.cmnd.lastWriteResult') !== undefined);
+        expect(JSON.parse(stateVal(ctx, 'vitocal.cmnd.lastWriteResult'))).to.include({ result: 'timeout' });
+    });
+
+    it('reports verified write after fallback to service 77', async () => {
+        worker.writeReadBackDelay = 50;
+        await worker.writeByDidVerified(ctx, 256, busIdentification.map(() => 0x11));
+        await waitFor(() => stateVal(ctx, 'vitocal.cmnd.lastWriteResult') !== undefined, 3000);
+        expect(JSON.parse(stateVal(ctx, 'vitocal.cmnd.lastWriteResult'))).to.include({
+            result: 'ok',
+            fallback77: true,
+        });
+    }).timeout(5000);
+
+    it('rejects writes violating constraints of writable dids', async () => {
+        worker.storage.storageDids.didsWritable = { 396: { name: 'DomesticHotWaterTemperatureSetpoint', max: 60 } };
+        expect(await worker.checkWriteConstraints(ctx, 396, 450)).to.equal(false);
+        expect(await worker.checkWriteConstraintsRaw(ctx, 396, [0xe8, 0x01])).to.equal(true);
+        expect(JSON.parse(stateVal(ctx, 'vitocal.cmnd.lastWriteResult'))).to.include({ did: 396, result: 'rejected' });
+        expect(ctx.errors[0]).to.include('rejected: value=450 is above max 60');
+        await waitFor(() => sim.requests.length > 0);
+        expect(sim.requests.map(req => req.sid)).to.deep.equal([0x22]);
+    });
+
+    it('stores selected representations only and checks writes based on them', async () => {
+        worker.storage.outputs = { tree: true, json: false, raw: false };
+        await worker.pushCmnd(ctx, 'read', [396]);
+        await waitFor(() => stateVal(ctx, 'vitocal.tree.0396_DomesticHotWaterTemperatureSetpoint') !== undefined);
+        expect(stateVal(ctx, 'vitocal.tree.0396_DomesticHotWaterTemperatureSetpoint')).to.equal(45);
+        expect(stateVal(ctx, 'vitocal.json.0396_DomesticHotWaterTemperatureSetpoint')).to.equal(undefined);
+        expect(stateVal(ctx, 'vitocal.raw.0396_DomesticHotWaterTemperatureSetpoint')).to.equal(undefined);
+        worker.storage.storageDids.didsWritable = {
+            396: { name: 'DomesticHotWaterTemperatureSetpoint', readOnly: true },
+        };
+        expect(await worker.checkWriteConstraints(ctx, 396, 45)).to.equal(true);
+        expect(await worker.checkWriteConstraints(ctx, 396, 50)).to.equal(false);
+    });
+
+    it('reads actual value from device for checking read-only fields if only tree format is stored', async () => {
+        worker.storage.outputs = { tree: true, json: false, raw: false };
+        worker.storage.storageDids.didsWritable = {
+            396: { name: 'DomesticHotWaterTemperatureSetpoint', readOnly: true },
+        };
+        expect(await worker.checkWriteConstraints(ctx, 396, 45)).to.equal(true);
+        expect(sim.requests.map(req => [req.sid, req.did])).to.deep.equal([[0x22, 396]]);
+        expect(await worker.checkWriteConstraints(ctx, 396, 50)).to.equal(false);
+        expect(ctx.errors[0]).to.include('rejected: value is read-only');
+    });
+
+    it('rejects user writes with values out of range of codec', async () => {
+        worker.storage.storageDids.didsWritable = { 396: 'DomesticHotWaterTemperatureSetpoint' };
+        await worker.onUdsStateChange(ctx, worker, 'e3oncan.0.vitocal.json.0396_DomesticHotWaterTemperatureSetpoint', {
+            val: '6553.6',
+            ack: false,
+            from: 'system.adapter.javascript.0',
+        });
+        expect(JSON.parse(stateVal(ctx, 'vitocal.cmnd.lastWriteResult'))).to.include({ did: 396, result: 'rejected' });
+        expect(ctx.errors[0]).to.include('rejected: Value 6553.6 out of range');
+        await waitFor(() => stateVal(ctx, 'vitocal.json.0396_DomesticHotWaterTemperatureSetpoint') !== undefined);
+        expect(stateVal(ctx, 'vitocal.json.0396_DomesticHotWaterTemperatureSetpoint')).to.equal('45');
+        expect(sim.requests.map(req => req.sid)).to.deep.equal([0x22]);
+    });
+
+    it('publishes frames instead of writing in dry run mode', async () => {
+        worker.dryRun = true;
+        await worker.writeByDidVerified(ctx, 268, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        const res = JSON.parse(stateVal(ctx, 'vitocal.cmnd.dryRunFrames'));
+        expect(res.service2E).to.deep.equal({ canID: '0x680', frames: ['100c2e010c010203', '2104050607080900'] });
+        expect(res.service77).to.deep.equal({
+            canID: '0x682',
+            frames: ['101277010c430182', '210c01b901020304', '2205060708095555'],
+        });
+        await waitFor(() => stateVal(ctx, 'vitocal.raw.0268_FlowTemperatureSensor') !== undefined);
+        expect(sim.requests.map(req => req.sid)).to.deep.equal([0x22]);
+        expect(sim.getDid(268)).to.deep.equal([0x8c, 0x01, 0xc1, 0x00, 0x7a, 0x02, 0x7e, 0x01, 0x00]);
+    });
+
+    it('logs user writes to audit log and restores value on undo', async () => {
+        worker.writeReadBackDelay = 50;
+        worker.storage.storageDids.didsWritable = { 396: 'DomesticHotWaterTemperatureSetpoint' };
+        const origin = { from: 'system.adapter.admin.0', user: 'system.user.admin' };
+        await worker.writeByDidVerified(ctx, 396, [0xe8, 0x01], origin);
+        await waitFor(() => stateVal(ctx, 'vitocal.cmnd.writeAuditLog') !== undefined);
+        const entries = JSON.parse(stateVal(ctx, 'vitocal.cmnd.writeAuditLog'));
+        expect(entries).to.have.length(1);
+        expect(entries[0]).to.include({
+            from: 'system.adapter.admin.0',
+            user: 'system.user.admin',
+            did: 396,
+            old: 'c201',
+            new: 'e801',
+            result: 'ok',
+        });
+        expect(sim.getDid(396)).to.deep.equal([0xe8, 0x01]);
+        await worker.onUdsStateChange(ctx, worker, 'e3oncan.0.vitocal.cmnd.undoLastWrite', {
+            val: 396,
+            ack: false,
+            from: 'system.adapter.javascript.0',
+        });
+        await waitFor(() => JSON.parse(stateVal(ctx, 'vitocal.cmnd.writeAuditLog')).length > 1);
+        expect(JSON.parse(stateVal(ctx, 'vitocal.cmnd.writeAuditLog'))[1]).to.include({
+            from: 'system.adapter.javascript.0',
+            undo: true,
+            old: 'e801',
+            new: 'c201',
+            result: 'ok',
+        });
+        expect(sim.getDid(396)).to.deep.equal([0xc2, 0x01]);
+        expect(stateVal(ctx, 'e3oncan.0.vitocal.cmnd.undoLastWrite')).to.equal(396);
+    });
+
+    it('refuses undo without previous value in audit log', async () => {
+        await worker.undoLastWrite(ctx, 268, {});
+        expect(ctx.errors[0]).to.include('No previous value available');
+        expect(sim.requests).to.have.length(0);
+    });
+
+    it('executes queued commands by priority', async () => {
+        await worker.pushCmnd(ctx, 'read', [268, 269, 256], 'scheduledRead', 'schedule60');
+        await worker.pushCmnd(ctx, 'read', [396]);
+        await worker.pushCmnd(ctx, 'write', [[396, [0xe8, 0x01]]]);
+        expect(worker.stat.cntCmndsQueued).to.deep.equal({ write: 1, userRead: 1, scheduledRead: 3, scan: 0 });
+        await waitFor(() => sim.requests.length == 5);
+        expect(sim.requests.map(req => [req.sid, req.did])).to.deep.equal([
+            [0x2e, 396],
+            [0x22, 396],
+            [0x22, 268],
+            [0x22, 269],
+            [0x22, 256],
+        ]);
+        expect(worker.stat.cntCmndsQueued).to.deep.equal({ write: 0, userRead: 0, scheduledRead: 0, scan: 0 });
+    });
+
+    it('serves schedules in turn and skips dids already queued', async () => {
+        await worker.pushCmnd(ctx, 'read', [268, 269, 256], 'scheduledRead', 'schedule60');
+        await worker.pushCmnd(ctx, 'read', [396, 268], 'scheduledRead', 'schedule10');
+        expect(worker.stat.cntCmndsQueued.scheduledRead).to.equal(4);
+        await waitFor(() => sim.requests.length == 4);
+        expect(sim.requests.map(req => req.did)).to.deep.equal([268, 396, 269, 256]);
+    });
+
+    it('does not starve lower priorities', async () => {
+        await worker.pushCmnd(ctx, 'read', [256], 'scan');
+        await worker.pushCmnd(ctx, 'read', [257, 258, 259, 260, 261, 262, 263, 264, 265, 266]);
+        await waitFor(() => sim.requests.length == 11, 3000);
+        expect(sim.requests.findIndex(req => req.did == 256)).to.equal(8);
+    }).timeout(5000);
+
+    it('fails command if sending to CAN bus fails', async () => {
+        ctx.channelExt.stop(); // send() throws on stopped channel
+        await worker.pushCmnd(ctx, 'read', [396]);
+        await waitFor(() => worker.stat.cntCommTimeout > 0, 500);
+        expect(worker.stat.cntCommTimeout).to.equal(1);
+        expect(await worker.getComState()).to.equal(0);
+    });
+
+    it('suspends schedules while CAN bus is down and resumes after reconnect', async () => {
+        await worker.stop(ctx);
+        worker = new uds.uds({
+            canID: 0x680,
+            stateBase: 'vitocal',
+            device: 'common',
+            delay: 0,
+            active: true,
+            channel: ctx.channelExt,
+            timeout: 1000,
+        });
+        await worker.addSchedule(ctx, 0.05, '396');
+        await worker.initStates(ctx, 'standby');
+        await worker.startup(ctx, 'normal');
+        ctx.E3UdsWorkers[0x690] = worker;
+        ctx.channelExt.addListener('onStopped', () => worker.suspend(ctx));
+        await waitFor(() => worker.stat.cntCommOk > 0);
+
+        ctx.channelExt.stop(); // CAN bus drops while schedule is running
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const cntRequests = sim.requests.length;
+        expect(await worker.getWorkerOpMode()).to.equal('standby');
+        expect(worker.stat.cntCommTimeout).to.equal(0);
+
+        ctx.channelExt = canTransport.createChannel('loopback', 'simbus');
+        ctx.channelExt.addListener('onMessage', ctx.onCanMsgExt, ctx);
+        ctx.channelExt.start();
+        await worker.resume(ctx, ctx.channelExt);
+        await waitFor(() => sim.requests.length > cntRequests);
+        expect(await worker.getWorkerOpMode()).to.equal('normal');
+        expect(sim.requests.length).to.be.above(cntRequests);
+        expect(worker.stat.cntCommTimeout).to.equal(0);
+    });
+
+    it('does not fall back to service 77 on malformed WriteByDid', async () => {
+        await worker.pushCmnd(ctx, 'write', [[396, [0xe8, 0x01, 0x00]]]);
+        await waitFor(() => worker.stat.cntCommNR > 0);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        expect(worker.stat.cntCommNRperCode).to.deep.equal({ incorrectMessageLengthOrInvalidFormat: 1 });
+        expect(sim.requests.some(req => req.sid == 0x77)).to.equal(false);
+        expect(sim.getDid(396)).to.deep.equal([0xc2, 0x01]);
+    });
+});
+
+describe('UDS scans on simulator', () => {
+    let ctx, sim, channelSim;
+
+    beforeEach(() => {
+        ctx = mockAdapter('scanbus');
+        ctx.udsScanWorker.udsScanAddrRange = [0x680];
+        ctx.udsScanWorker.udsTimeoutDevScan = 200;
+        channelSim = canTransport.createChannel('loopback', 'scanbus');
+        channelSim.start();
+        sim = new udsSimulator({ canID: 0x684, channel: channelSim, dids: { 256: busIdentification } });
+        sim.start();
+    });
+
+    afterEach(() => {
+        sim.stop();
+        channelSim.stop();
+        ctx.channelExt.stop();
+    });
+
+    it('finds device during device scan', async () => {
+        expect(await ctx.udsScanWorker.scanUdsDevices(ctx)).to.equal(true);
+        expect(ctx.udsDevices).to.have.length(1);
+        expect(ctx.udsDevices[0]).to.include({ devAddr: '0x684', devName: 'HPMUMASTER', collectCanId: '0x693' });
+    }).timeout(5000);
+
+    it('finds data points during dids scan', async () => {
+        await ctx.udsScanWorker.scanUdsDids(ctx, [0x684], { min: 256, max: 270 });
+        const didsCommon = JSON.parse(stateVal(ctx, '0x684.info.udsDidsCommon'));
+        const didsExpected = Object.keys(sim.dids).filter(did => Number(did) <= 270);
+        expect(Object.keys(didsCommon).filter(did => did != 'Version')).to.deep.equal(didsExpected);
+        expect(ctx.udsScanWorker.udsScanDidsCntSuccess).to.equal(didsExpected.length);
+        expect(ctx.udsScanWorker.udsScanDidsCntDone).to.equal(15);
+    }).timeout(5000);
+});
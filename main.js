@@ -16,15 +16,21 @@
 const utils = require('@iobroker/adapter-core');
 
 // Loading modules:
-const can = require('socketcan');
+const canTransport = require('./lib/canTransport');
+const canCapture = require('./lib/canCapture');
 const storage = require('./lib/storage');
 const E3DidsDict = require('./lib/didsE3.json');
 const E380DidsDict = require('./lib/didsE380.json');
 const E3100CBDidsDict = require('./lib/didsE3100CB.json');
 const E3DidsWritable = require('./lib/didsE3Writables.json');
 const collect = require('./lib/canCollect');
+const canLearn = require('./lib/canLearn');
+const canSniffer = require('./lib/canSniffer');
 const uds = require('./lib/canUds');
 const udsScan = require('./lib/udsScan');
+const open3eImport = require('./lib/open3eImport');
+const fs = require('fs');
+const path = require('path');
 
 class E3oncan extends utils.Adapter {
     /**
@@ -42,6 +48,9 @@ class E3oncan extends utils.Adapter {
         this.E3CollectInt = {}; // Dict of collect devices on internal bus
         this.E3CollectExt = {}; // Dict of collect devices on external bus
         this.collectTimeout = 2000; // Timeout (ms) for collecting data
+        this.collectLearnTime = 60000; // Duration (ms) of learning CAN ids for collecting
+        this.collectLearnMinDids = 3; // Min. number of different dids broadcasted on a learned CAN id
+        this.collectLearners = {}; // Running learning of CAN ids for collecting per bus ('ext' or 'int')
         this.E3UdsWorkers = {}; // Dict of standard uds workers
         this.E3UdsSID77Workers = {}; // Dict of uds workers for service 77
         this.cntWorkersActive = 0; // Total number of active workers (collect + UDS)
@@ -52,6 +61,18 @@ class E3oncan extends utils.Adapter {
         this.channelIntName = '';
         this.cntCanConnDesired = 0; // Number of activated CAN connections in config
         this.cntCanConnActual = 0; // Number if actualy connected CAN buses
+        this.canConnectError = ''; // Reason of last failed connection to CAN bus
+        this.canReconnectDelayMin = 5000; // Initial delay (ms) for reconnect of stopped CAN bus
+        this.canReconnectDelayMax = 300000; // Max. delay (ms) for reconnect of stopped CAN bus
+        this.canReconnectAttempts = 0; // Total number of reconnect attempts
+        this.canReconnect = {
+            ext: { handle: null, delay: 0, attempts: 0 },
+            int: { handle: null, delay: 0, attempts: 0 },
+        };
+        this.canCapture = null; // Writer for capture of CAN traffic
+        this.canCaptureBusExt = 'ext'; // Bus name of external CAN bus in capture
+        this.canCaptureBusInt = 'int'; // Bus name of internal CAN bus in capture
+        this.busSniffers = {}; // Statistics of CAN traffic per bus ('ext' or 'int')
 
         this.udsWorkers = {};
         this.udsTimeout = 7500; // Timeout (ms) for normal UDS communication
@@ -88,6 +109,7 @@ class E3oncan extends utils.Adapter {
 
         // Reset the connection indicator during startup
         this.setState('info.connection', false, true);
+        this.setState('info.reconnectAttempts', 0, true);
 
         // Collect known devices adresses:
         for (const dev of Object.values(this.config.tableUdsDevices)) {
@@ -107,6 +129,14 @@ class E3oncan extends utils.Adapter {
             await this.updateDatapointsCommon([{ devStateName: this.config.e3100cbName, device: 'e3100cb' }]); // E3100CB Energy Meter
         }
 
+        // Setup capture of CAN traffic if required
+        // =========================================
+
+        // @ts-expect-error AdapterConfig
+        if (this.config.canCaptureActive) {
+            this.setupCanCapture();
+        }
+
         // Setup external CAN bus if required
         // ==================================
 
@@ -119,6 +149,8 @@ class E3oncan extends utils.Adapter {
                 this.config.canExtName,
                 this.onCanMsgExt,
                 this.onCanExtStopped,
+                // @ts-expect-error AdapterConfig
+                this.config.canExtTransport,
             );
         }
 
@@ -134,9 +166,19 @@ class E3oncan extends utils.Adapter {
                 this.config.canIntName,
                 this.onCanMsgInt,
                 this.onCanIntStopped,
+                // @ts-expect-error AdapterConfig
+                this.config.canIntTransport,
             );
         }
 
+        // Setup statistics of CAN traffic if required
+        // ============================================
+
+        // @ts-expect-error AdapterConfig
+        if (this.config.busSnifferActive) {
+            await this.setupBusSniffers();
+        }
+
         if (this.cntCanConnActual == this.cntCanConnDesired) {
             // All configured CAN connections are established
             await this.setState('info.connection', true, true);
@@ -154,12 +196,22 @@ class E3oncan extends utils.Adapter {
 
         // Setup all configured devices for collect:
         if (this.channelExt) {
-            // @ts-expect-error AdapterConfig
-            await this.setupE3CollectWorkers(this.config.tableCollectCanExt, this.E3CollectExt, this.channelExt);
+            await this.setupE3CollectWorkers(
+                // @ts-expect-error AdapterConfig
+                this.config.tableCollectCanExt,
+                this.E3CollectExt,
+                // @ts-expect-error AdapterConfig
+                this.config.tableCollectLearnedExt,
+            );
         }
         if (this.channelInt) {
-            // @ts-expect-error AdapterConfig
-            await this.setupE3CollectWorkers(this.config.tableCollectCanInt, this.E3CollectInt, this.channelInt);
+            await this.setupE3CollectWorkers(
+                // @ts-expect-error AdapterConfig
+                this.config.tableCollectCanInt,
+                this.E3CollectInt,
+                // @ts-expect-error AdapterConfig
+                this.config.tableCollectLearnedInt,
+            );
         }
 
         // Initial setup all configured devices for UDS:
@@ -205,10 +257,17 @@ class E3oncan extends utils.Adapter {
                     );
                     for (const did of Object.keys(devDids.didsDictDevCom)) {
                         if (did != 'Version' && did in didsDictNew) {
+                            // Datapoints defined by user overrides keep their definition and structure
+                            const cdiOld =
+                                did in devDids.didsDictOverrides
+                                    ? devDids.didsDictOverrides[did]
+                                    : devDids.didsDictDevCom[did];
+                            const cdiNew =
+                                did in devDids.didsDictOverrides ? devDids.didsDictOverrides[did] : didsDictNew[did];
                             // Check for changes in datapoint structure
-                            const didStateName = `${await devDids.getDidStr(did)}_${await devDids.didsDictDevCom[did].id}`;
-                            const devStruct = await devDids.getDidStruct(this, [], devDids.didsDictDevCom[did]);
-                            const E3Struct = await devDids.getDidStruct(this, [], didsDictNew[did]);
+                            const didStateName = `${await devDids.getDidStr(did)}_${await cdiOld.id}`;
+                            const devStruct = await devDids.getDidStruct(this, [], cdiOld);
+                            const E3Struct = await devDids.getDidStruct(this, [], cdiNew);
                             if (JSON.stringify(devStruct) != JSON.stringify(E3Struct)) {
                                 // Structure of datapoint has changed
                                 // Replace .json and .tree state(s) based on raw data of did
@@ -221,7 +280,7 @@ class E3oncan extends utils.Adapter {
                                 const raw = await devDids.getObjectVal(this, `${dev.devStateName}.raw.${didStateName}`);
                                 if (raw != null) {
                                     // Create states based on new structure if raw data is available:
-                                    const cdi = await didsDictNew[did];
+                                    const cdi = cdiNew;
                                     const res = await devDids.decodeDid(
                                         this,
                                         dev.devStateName,
@@ -229,20 +288,26 @@ class E3oncan extends utils.Adapter {
                                         cdi,
                                         devDids.toByteArray(raw),
                                     );
-                                    await devDids.storeObjectJson(
-                                        this,
-                                        did,
-                                        res.idStr,
-                                        `${this.namespace}.${dev.devStateName}.json.${didStateName}`,
-                                        res.val,
-                                    );
-                                    await devDids.storeObjectTree(
-                                        this,
-                                        did,
-                                        res.idStr,
-                                        `${this.namespace}.${dev.devStateName}.tree.${didStateName}`,
-                                        res.val,
-                                    );
+                                    if (this.getOutputFormats(dev).json) {
+                                        await devDids.storeObjectJson(
+                                            this,
+                                            did,
+                                            res.idStr,
+                                            `${this.namespace}.${dev.devStateName}.json.${didStateName}`,
+                                            res.val,
+                                        );
+                                    }
+                                    if (this.getOutputFormats(dev).tree) {
+                                        await devDids.storeObjectTree(
+                                            this,
+                                            did,
+                                            res.idStr,
+                                            `${this.namespace}.${dev.devStateName}.tree.${didStateName}`,
+                                            res.val,
+                                            false,
+                                            cdi,
+                                        );
+                                    }
                                 }
                             } else {
                                 // No change of structure of datapoint
@@ -267,7 +332,7 @@ class E3oncan extends utils.Adapter {
                                     if (raw != null) {
                                         // Update .tree states:
                                         this.log.silly(`  > Update type and role of datapoint ${didStateName}`);
-                                        const cdi = await didsDictNew[did];
+                                        const cdi = cdiNew;
                                         const res = await devDids.decodeDid(
                                             this,
                                             dev.devStateName,
@@ -282,6 +347,7 @@ class E3oncan extends utils.Adapter {
                                             `${this.namespace}.${dev.devStateName}.tree.${didStateName}`,
                                             res.val,
                                             true,
+                                            cdi,
                                         );
                                     }
                                 }
@@ -299,6 +365,7 @@ class E3oncan extends utils.Adapter {
                 }
             }
             await devDids.storeKnownDids(this);
+            devDids.checkKnownDids(this); // Report broken definitions of datapoints
         }
     }
 
@@ -356,6 +423,7 @@ class E3oncan extends utils.Adapter {
                                         `${this.namespace}.${dev.devStateName}.tree.${didStateName}`,
                                         res.val,
                                         true,
+                                        cdi,
                                     );
                                 }
                             } catch {
@@ -373,18 +441,19 @@ class E3oncan extends utils.Adapter {
 
     // Setup CAN busses
 
-    async connectToCan(channel, name, onMsg, onStop) {
+    async connectToCan(channel, name, onMsg, onStop, transport = 'socketcan') {
         let chName = name;
         if (!channel) {
             try {
-                channel = can.createRawChannel(name, true);
+                channel = canTransport.createChannel(transport || 'socketcan', name);
                 await channel.addListener('onMessage', onMsg, this);
                 await channel.addListener('onStopped', onStop, this);
                 await channel.start();
                 this.cntCanConnActual++;
-                await this.log.info(`CAN-Adapter connected: ${name}`);
+                await this.log.info(`CAN-Adapter connected: ${name} via ${transport || 'socketcan'}`);
             } catch (e) {
                 await this.log.error(`Could not connect to CAN-Adapter "${name}" - err=${e.message}`);
+                this.canConnectError = e.message;
                 channel = null;
                 chName = '';
             }
@@ -394,15 +463,32 @@ class E3oncan extends utils.Adapter {
 
     disconnectFromCan(channel, name) {
         if (channel) {
+            // Stopped on purpose, so handlers of onStopped have to ignore this channel
+            if (channel === this.channelExt) {
+                this.channelExt = null;
+            }
+            if (channel === this.channelInt) {
+                this.channelInt = null;
+            }
+            this.cntCanConnActual--;
             try {
                 channel.stop();
                 this.log.info(`CAN-Adapter disconnected: ${name}`);
-                channel = null;
             } catch (e) {
                 this.log.error(`Could not disconnect from CAN "${name}" - err=${e.message}`);
-                channel = null;
             }
         }
+        return [null, ''];
+    }
+
+    // Representations of datapoints to be stored. All of them, if not configured yet.
+
+    getOutputFormats(conf) {
+        return {
+            tree: conf.outputTree !== false,
+            json: conf.outputJson !== false,
+            raw: conf.outputRaw !== false,
+        };
     }
 
     // Setup E380 collect worker:
@@ -417,11 +503,14 @@ class E3oncan extends utils.Adapter {
                 device: 'e380',
                 delay: conf.e380Delay,
                 active: conf.e380Active,
+                onChange: conf.e380OnChange,
+                maxAge: conf.e380MaxAge,
             });
             await e380Worker.initStates(this, 'standby');
         }
         if (e380Worker) {
             await e380Worker.startup(this);
+            this.subscribeStates(`${this.namespace}.${conf.e380Name}.info.*`, this.onStateChange);
         }
         return e380Worker;
     }
@@ -436,25 +525,27 @@ class E3oncan extends utils.Adapter {
                 device: 'e3100cb',
                 delay: conf.e3100cbDelay,
                 active: conf.e3100cbActive,
+                onChange: conf.e3100cbOnChange,
+                maxAge: conf.e3100cbMaxAge,
             });
             await e3100cbWorker.initStates(this, 'standby');
         }
         if (e3100cbWorker) {
             await e3100cbWorker.startup(this);
+            this.subscribeStates(`${this.namespace}.${conf.e3100cbName}.info.*`, this.onStateChange);
         }
         return e3100cbWorker;
     }
 
     // Setup E3 collect workers:
 
-    async setupE3CollectWorkers(conf, workers) {
+    async setupE3CollectWorkers(conf, workers, learned) {
         if (conf && conf.length > 0) {
+            // CAN ids assigned to UDS devices take precedence over learned CAN ids
+            const sources = this.config.tableUdsDevices.concat(learned || []);
             for (const workerConf of Object.values(conf)) {
                 if (workerConf.collectActive) {
-                    const devInfo = this.config.tableUdsDevices.filter(
-                        // @ts-expect-error AdapterConfig
-                        item => item.collectCanId == workerConf.collectCanId,
-                    );
+                    const devInfo = sources.filter(item => item.collectCanId == workerConf.collectCanId);
                     if (devInfo.length > 0) {
                         const worker = new collect.collect({
                             canID: [Number(workerConf.collectCanId)],
@@ -462,10 +553,18 @@ class E3oncan extends utils.Adapter {
                             device: 'common',
                             timeout: this.collectTimeout,
                             delay: workerConf.collectDelayTime,
+                            onChange: workerConf.collectOnChange,
+                            maxAge: workerConf.collectMaxAge,
+                            outputs: this.getOutputFormats(workerConf),
                         });
                         await worker.initStates(this, 'standby');
                         if (worker) {
                             await worker.startup(this);
+                            // Changes of e.g. deadbands apply also to devices used for collecting only
+                            this.subscribeStates(
+                                `${this.namespace}.${worker.config.stateBase}.info.*`,
+                                this.onStateChange,
+                            );
                         }
                         workers[Number(workerConf.collectCanId)] = worker;
                     }
@@ -494,6 +593,11 @@ class E3oncan extends utils.Adapter {
                 active: false,
                 channel: this.channelExt,
                 timeout: this.udsTimeout,
+                // @ts-expect-error AdapterConfig
+                readBatchSize: dev.udsReadBatchSize,
+                // @ts-expect-error AdapterConfig
+                dryRun: this.config.udsDryRun || dev.udsDryRun,
+                outputs: this.getOutputFormats(dev),
             });
             await this.E3UdsWorkers[devRxAddr].initStates(this, 'standby');
         }
@@ -531,6 +635,11 @@ class E3oncan extends utils.Adapter {
             for (const toh of Object.values(this.udsTimeoutHandles)) {
                 await this.clearTimeout(toh);
             }
+            for (const rc of Object.values(this.canReconnect)) {
+                if (rc.handle) {
+                    await this.clearTimeout(rc.handle);
+                }
+            }
             for (const worker of Object.values(this.E3UdsWorkers)) {
                 await worker.stop(this);
             }
@@ -571,6 +680,17 @@ class E3oncan extends utils.Adapter {
             this.disconnectFromCan(this.channelInt, this.config.canIntName);
             this.setState('info.connection', false, true);
 
+            // Stop statistics of CAN traffic:
+            for (const sniffer of Object.values(this.busSniffers)) {
+                await sniffer.stop(this);
+            }
+
+            // Stop capture of CAN traffic:
+            if (this.canCapture) {
+                await this.canCapture.close();
+                this.canCapture = null;
+            }
+
             this.log.debug(`onUnload() took ${String(new Date().getTime() - tStart)} ms to complete.`);
 
             callback();
@@ -630,6 +750,13 @@ class E3oncan extends utils.Adapter {
                     worker.onUdsStateChange(this, worker, id, state);
                 }
             }
+            // Check for necessary measures for collect workers of energy meters
+            for (const worker of [this.e380Collect, this.e3100cbCollect]) {
+                if (worker && id.includes(`${this.namespace}.${worker.config.stateBase}.`)) {
+                    this.log.silly(`Call energy meter collect worker for ${worker.config.stateBase}`);
+                    worker.onUdsStateChange(this, worker, id, state);
+                }
+            }
         }
     }
 
@@ -700,7 +827,11 @@ class E3oncan extends utils.Adapter {
                     this.log.silly(`Received data - ${JSON.stringify(obj)}`);
                     if (Array.isArray(obj.message)) {
                         const selUdsDevices = obj.message
-                            .filter(item => item.collectCanId != '')
+                            .filter(
+                                (item, i, items) =>
+                                    item.collectCanId != '' &&
+                                    items.findIndex(other => other.collectCanId == item.collectCanId) == i,
+                            )
                             .map(item => ({ label: item.devStateName, value: item.collectCanId }));
                         this.log.silly(`Data to send - ${JSON.stringify(selUdsDevices)}`);
                         if (selUdsDevices) {
@@ -719,7 +850,11 @@ class E3oncan extends utils.Adapter {
                     this.log.silly(`Received data - ${JSON.stringify(obj)}`);
                     if (Array.isArray(obj.message)) {
                         const selUdsDevices = obj.message
-                            .filter(item => item.collectCanId != '')
+                            .filter(
+                                (item, i, items) =>
+                                    item.collectCanId != '' &&
+                                    items.findIndex(other => other.collectCanId == item.collectCanId) == i,
+                            )
                             .map(item => ({ label: item.devStateName, value: item.collectCanId }));
                         this.log.silly(`Data to send - ${JSON.stringify(selUdsDevices)}`);
                         if (selUdsDevices) {
@@ -790,6 +925,35 @@ class E3oncan extends utils.Adapter {
                 }
             }
 
+            if (obj.command === 'learnCollectCanIds') {
+                // Listen on CAN bus for CAN ids carrying did broadcasts usable for collecting
+                const bus = obj.message && obj.message.bus == 'int' ? 'int' : 'ext';
+                const table = bus == 'int' ? 'tableCollectLearnedInt' : 'tableCollectLearnedExt';
+                let learned = [];
+                try {
+                    learned = await this.learnCollectCanIds(bus);
+                } catch (e) {
+                    this.log.warn(`Learning of CAN ids for collecting failed: ${e.message}`);
+                }
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, { native: { [table]: learned } }, obj.callback);
+                }
+            }
+
+            if (obj.command === 'importOpen3eDids') {
+                // Import datapoint definitions of open3e (Open3Edatapoints*.py) into device specific dids
+                let result;
+                try {
+                    result = await this.importOpen3eDids(obj.message);
+                } catch (e) {
+                    this.log.warn(`Import of open3e datapoints failed: ${e.message}`);
+                    result = { error: e.message };
+                }
+                if (obj.callback) {
+                    this.sendTo(obj.from, obj.command, result, obj.callback);
+                }
+            }
+
             if (obj.command === 'getUdsDidsDevSelect') {
                 if (obj.callback) {
                     this.log.silly(`Received data - ${JSON.stringify(obj)}`);
@@ -810,49 +974,326 @@ class E3oncan extends utils.Adapter {
         }
     }
 
-    onCanExtStopped() {
+    async learnCollectCanIds(bus) {
+        const channel = bus == 'int' ? this.channelInt : this.channelExt;
+        if (!channel) {
+            throw new Error(`${bus == 'int' ? 'Internal' : 'External'} CAN bus is not connected`);
+        }
+        if (this.collectLearners[bus]) {
+            throw new Error(`Learning on ${bus == 'int' ? 'internal' : 'external'} CAN bus is already running`);
+        }
+        this.log.info(`Learning CAN ids for collecting on ${bus} CAN bus for ${this.collectLearnTime / 1000} s`);
+        this.collectLearners[bus] = new canLearn.canLearn({ minDids: this.collectLearnMinDids });
+        await this.udsScanWorker.sleep(this, this.collectLearnTime);
+        const canIds = this.collectLearners[bus].getCanIds();
+        delete this.collectLearners[bus];
+        // Replies of UDS devices are not usable for collecting
+        const udsReplyIds = this.config.tableUdsDevices.map(
+            // @ts-expect-error AdapterConfig
+            dev => Number(dev.devAddr) + 0x10,
+        );
+        const learned = canIds
+            .filter(item => !udsReplyIds.includes(Number(item.collectCanId)))
+            .map(item => {
+                const dev = this.config.tableUdsDevices.find(
+                    // @ts-expect-error AdapterConfig
+                    d => d.collectCanId != '' && Number(d.collectCanId) == Number(item.collectCanId),
+                );
+                return {
+                    // @ts-expect-error AdapterConfig
+                    devStateName: dev ? dev.devStateName : `Collect_${item.collectCanId}`,
+                    ...item,
+                };
+            });
+        this.log.info(
+            `Learned CAN ids for collecting on ${bus} CAN bus: ${JSON.stringify(learned.map(item => item.collectCanId))}`,
+        );
+        return learned;
+    }
+
+    async importOpen3eDids(msg) {
+        if (!msg || !this.udsDevStateNames.includes(msg.device)) {
+            throw new Error(`Unknown device ${JSON.stringify(msg && msg.device)}`);
+        }
+        let src = msg.source;
+        if (typeof src != 'string') {
+            if (typeof msg.file != 'string') {
+                throw new Error('Either source or file has to be provided');
+            }
+            // Only files within data directory of this instance may be read
+            const dataDir = path.resolve(utils.getAbsoluteInstanceDataDir(this));
+            const file = path.resolve(dataDir, msg.file);
+            if (!file.startsWith(dataDir + path.sep)) {
+                throw new Error(`File ${msg.file} is not located in ${dataDir}`);
+            }
+            src = await fs.promises.readFile(file, 'utf8');
+        }
+        const parsed = open3eImport.parseOpen3eDatapoints(src);
+        const udsDids = new storage.storageDids({ stateBase: msg.device, device: msg.device });
+        await udsDids.readKnownDids(this, 'standby');
+        if (!udsDids.didsDevSpecAvail) {
+            throw new Error(`No results of dids scan available for device ${msg.device}`);
+        }
+        const result = open3eImport.mergeOpen3eDids(
+            udsDids.didsDictDevCom,
+            udsDids.didsDictDevSpec,
+            parsed.dids,
+            Boolean(msg.overwrite),
+        );
+        if (result.merged.length > 0) {
+            // Running UDS worker reloads and checks definitions on change of this state
+            await this.setStateAsync(`${msg.device}.info.${udsDids.didsSpecId}`, {
+                val: JSON.stringify(result.didsDevSpec),
+                ack: false,
+            });
+        }
+        this.log.info(
+            `Imported ${result.merged.length} open3e datapoints into ${msg.device}, skipped ${
+                parsed.rejected.length + result.skipped.length
+            }`,
+        );
+        return {
+            merged: result.merged,
+            skipped: parsed.rejected.concat(result.skipped),
+            removed: parsed.removed.map(did => Number(did)),
+        };
+    }
+
+    onCanExtStopped(_msg, channel) {
+        if (channel !== this.channelExt) {
+            return; // Channel was disconnected on purpose or is replaced already, e.g. by device scan
+        }
         if (!this.stoppingInstance) {
             // External CAN connection was terminated unexpectedly
             this.log.error('External CAN bus was stopped.');
+            this.channelExt = null;
+            // Keep UDS workers from sending till CAN bus is reconnected
+            for (const worker of Object.values(this.E3UdsWorkers).concat(Object.values(this.E3UdsSID77Workers))) {
+                worker.suspend(this);
+            }
+            this.scheduleCanReconnect('ext', 'External CAN bus was stopped');
         }
         this.cntCanConnActual--;
         this.setState('info.connection', false, true);
     }
 
-    onCanIntStopped() {
+    onCanIntStopped(_msg, channel) {
+        if (channel !== this.channelInt) {
+            return; // Channel was disconnected on purpose or is replaced already
+        }
         if (!this.stoppingInstance) {
             // External CAN connection was terminated unexpectedly
             this.log.error('Internal CAN bus was stopped.');
+            this.channelInt = null;
+            this.scheduleCanReconnect('int', 'Internal CAN bus was stopped');
         }
         this.cntCanConnActual--;
         this.setState('info.connection', false, true);
     }
 
+    // Supervised reconnect of CAN busses
+
+    scheduleCanReconnect(bus, reason) {
+        const rc = this.canReconnect[bus];
+        if (rc.handle) {
+            return; // Reconnect already scheduled
+        }
+        rc.delay = Math.min(Math.max(2 * rc.delay, this.canReconnectDelayMin), this.canReconnectDelayMax);
+        this.setState('info.lastFailureReason', `${new Date().toISOString()}: ${reason}`, true);
+        this.log.info(`Trying to reconnect ${bus == 'ext' ? 'external' : 'internal'} CAN bus in ${rc.delay / 1000} s`);
+        rc.handle = this.setTimeout(async () => {
+            rc.handle = null;
+            await this.reconnectCan(bus);
+        }, rc.delay);
+    }
+
+    async reconnectCan(bus) {
+        if (this.stoppingInstance) {
+            return;
+        }
+        const rc = this.canReconnect[bus];
+        rc.attempts += 1;
+        this.canReconnectAttempts += 1;
+        await this.setState('info.reconnectAttempts', this.canReconnectAttempts, true);
+        this.canConnectError = '';
+        let channel;
+        if (bus == 'ext') {
+            [this.channelExt, this.channelExtName] = await this.connectToCan(
+                null,
+                // @ts-expect-error AdapterConfig
+                this.config.canExtName,
+                this.onCanMsgExt,
+                this.onCanExtStopped,
+                // @ts-expect-error AdapterConfig
+                this.config.canExtTransport,
+            );
+            channel = this.channelExt;
+        } else {
+            [this.channelInt, this.channelIntName] = await this.connectToCan(
+                null,
+                // @ts-expect-error AdapterConfig
+                this.config.canIntName,
+                this.onCanMsgInt,
+                this.onCanIntStopped,
+                // @ts-expect-error AdapterConfig
+                this.config.canIntTransport,
+            );
+            channel = this.channelInt;
+        }
+        if (!channel) {
+            this.scheduleCanReconnect(
+                bus,
+                `Reconnect of ${bus == 'ext' ? 'external' : 'internal'} CAN bus failed: ${this.canConnectError}`,
+            );
+            return;
+        }
+
+        // Put workers back in place. States are available already, so no initStates() needed.
+        if (bus == 'ext') {
+            for (const worker of Object.values(this.E3UdsWorkers).concat(Object.values(this.E3UdsSID77Workers))) {
+                await worker.resume(this, channel);
+            }
+            for (const worker of [this.e380Collect, this.e3100cbCollect].concat(Object.values(this.E3CollectExt))) {
+                if (worker) {
+                    worker.data.collecting = false;
+                }
+            }
+        } else {
+            for (const worker of Object.values(this.E3CollectInt)) {
+                worker.data.collecting = false;
+            }
+        }
+        this.log.info(
+            `${bus == 'ext' ? 'External' : 'Internal'} CAN bus reconnected after ${String(rc.attempts)} attempt(s).`,
+        );
+        rc.attempts = 0;
+        rc.delay = 0;
+        if (this.cntCanConnActual == this.cntCanConnDesired) {
+            // All configured CAN connections are established
+            await this.setState('info.connection', true, true);
+        }
+    }
+
+    // Capture of CAN traffic
+    // ======================
+
+    setupCanCapture() {
+        // @ts-expect-error AdapterConfig
+        const file = this.config.canCaptureFile || `${utils.getAbsoluteInstanceDataDir(this)}/candump.log`;
+        // @ts-expect-error AdapterConfig
+        const maxSize = Number(this.config.canCaptureMaxSize) || 10;
+        // @ts-expect-error AdapterConfig
+        const maxFiles = Number(this.config.canCaptureMaxFiles) || 5;
+        // Use device names of CAN adapters as bus names in capture, e.g. can0
+        // @ts-expect-error AdapterConfig
+        this.canCaptureBusExt = this.captureBusName(this.config.canExtName, 'ext');
+        // @ts-expect-error AdapterConfig
+        this.canCaptureBusInt = this.captureBusName(this.config.canIntName, 'int');
+        try {
+            this.canCapture = new canCapture.canLogWriter({
+                file,
+                maxSize: maxSize * 1024 * 1024,
+                maxFiles,
+                onError: e => this.log.warn(`Capture of CAN traffic to ${file} failed: ${e.message}`),
+            });
+            this.canCapture.open();
+            this.log.info(`Capture of CAN traffic to ${file}`);
+        } catch (e) {
+            this.canCapture = null;
+            this.log.error(`Could not start capture of CAN traffic to ${file}: ${e.message}`);
+        }
+    }
+
+    // Statistics of CAN traffic
+    // ==========================
+
+    async setupBusSniffers() {
+        const buses = {
+            // @ts-expect-error AdapterConfig
+            ext: this.config.canExtActivated ? 'external CAN bus' : '',
+            // @ts-expect-error AdapterConfig
+            int: this.config.canIntActivated ? 'internal CAN bus' : '',
+        };
+        for (const [bus, busName] of Object.entries(buses)) {
+            if (busName) {
+                const sniffer = new canSniffer.sniffer({
+                    bus: bus,
+                    busName: busName,
+                    // @ts-expect-error AdapterConfig
+                    bitrate: Number(this.config.busSnifferBitrate) || 250,
+                    // @ts-expect-error AdapterConfig
+                    interval: Number(this.config.busSnifferInterval) || 60,
+                });
+                await sniffer.initStates(this);
+                await sniffer.startup(this);
+                this.busSniffers[bus] = sniffer;
+            }
+        }
+    }
+
+    captureBusName(name, fallback) {
+        // Bus names in candump format must not contain white space. Paths and host:port are replaced by fallback.
+        return name && /^[A-Za-z0-9_.-]+$/.test(name) ? name : fallback;
+    }
+
+    captureCanMsg(bus, msg) {
+        if (!this.canCapture) {
+            return;
+        }
+        try {
+            this.canCapture.write(bus, msg);
+        } catch (e) {
+            this.log.error(`Capture of CAN traffic stopped. err=${e.message}`);
+            this.canCapture = null;
+        }
+    }
+
     onCanMsgExt(msg) {
+        this.captureCanMsg(this.canCaptureBusExt, msg);
+        if (this.collectLearners.ext) {
+            this.collectLearners.ext.msgLearn(msg);
+        }
+        let known = false; // Frame is evaluated by a worker
         if (this.e380Collect && this.e380Collect.config.canID.includes(msg.id)) {
             this.e380Collect.msgCollect(this, msg);
+            known = true;
         }
         if (this.e3100cbCollect && this.e3100cbCollect.config.canID.includes(msg.id)) {
             this.e3100cbCollect.msgCollect(this, msg);
+            known = true;
         }
         if (this.E3CollectExt[msg.id]) {
             this.E3CollectExt[msg.id].msgCollect(this, msg);
+            known = true;
         }
         if (this.E3UdsWorkers[msg.id]) {
             this.E3UdsWorkers[msg.id].msgUds(this, msg);
+            known = true;
         }
         if (this.E3UdsSID77Workers[msg.id]) {
             this.E3UdsSID77Workers[msg.id].msgUds(this, msg);
+            known = true;
         }
         if (this.udsScanWorker.workers[msg.id]) {
             this.udsScanWorker.workers[msg.id].msgUds(this, msg);
+            known = true;
+        }
+        if (this.busSniffers.ext) {
+            this.busSniffers.ext.msgSniff(msg, known);
         }
     }
 
     onCanMsgInt(msg) {
+        this.captureCanMsg(this.canCaptureBusInt, msg);
+        if (this.collectLearners.int) {
+            this.collectLearners.int.msgLearn(msg);
+        }
         if (this.E3CollectInt[msg.id]) {
             this.E3CollectInt[msg.id].msgCollect(this, msg);
         }
+        if (this.busSniffers.int) {
+            this.busSniffers.int.msgSniff(msg, Boolean(this.E3CollectInt[msg.id]));
+        }
     }
 }
 
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Adapter context for unit tests keeping states in memory
+ *
+ * It's automatically excluded from npm and its build output is excluded from both git and npm.
+ */
+
+function mockAdapter() {
+    const ctx = {
+        namespace: 'e3oncan.0',
+        states: {}, // State objects by id, e.g. { val, ack, ts }
+        errors: /** @type {string[]} */ ([]), // Messages logged as error
+        cntWorkersActive: 0,
+        FORBIDDEN_CHARS: /[^._\-/ :!#$%&()+=@^{}|~\p{Ll}\p{Lu}\p{Nd}]+/gu,
+        log: {
+            silly: () => {},
+            debug: () => {},
+            info: () => {},
+            warn: () => {},
+            error: msg => ctx.errors.push(msg),
+        },
+        setTimeout: (cb, ms, ...args) => setTimeout(cb, ms, ...args),
+        clearTimeout: handle => clearTimeout(handle),
+        setInterval: (cb, ms, ...args) => setInterval(cb, ms, ...args),
+        clearInterval: handle => clearInterval(handle),
+        setObjectNotExistsAsync: async () => {},
+        extendObject: async () => {},
+        getStateAsync: async id => ctx.states[id] || null,
+        setStateAsync: async (id, state, ack) => {
+            ctx.states[id] = typeof state === 'object' && state !== null ? state : { val: state, ack: ack };
+        },
+    };
+    return ctx;
+}
+
+module.exports = {
+    mockAdapter,
+};